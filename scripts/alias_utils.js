@@ -10,4 +10,11 @@ function getAliasKey(inputDir, fileName) {
   return `${dirKey}_${baseName}`;
 }
 
-module.exports = { getAliasKey }; 
\ No newline at end of file
+// 从片段文件名解析来源别名：片段命名为 `${alias}_${序号}.mp4`，去掉末尾序号即为来源视频别名
+function getClipSourceAlias(fileName) {
+  const baseName = path.parse(path.basename(fileName)).name;
+  const m = baseName.match(/^(.*)_\d+$/);
+  return m ? m[1] : baseName;
+}
+
+module.exports = { getAliasKey, getClipSourceAlias }; 
\ No newline at end of file
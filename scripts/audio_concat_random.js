@@ -9,16 +9,18 @@
  *   - audioConcat.outputDir:  输出目录
  *   - audioConcat.generateCount:  生成个数
  *   - audioConcat.firstAudio:     指定第一个音频文件名（可选，基于项目根目录的相对路径）
+ *   - audioConcat.seed:           随机种子（可选），相同输入与种子得到相同的拼接组合；命令行 --seed 优先
  * 若未配置，回退：
  *   - 输入目录使用 config.musicDir 或 'music'
  *   - 输出目录使用 'music/concat'
  *   - 生成个数默认 10
  *
  * 产物：
- *   - 每次运行只生成一个清单 JSON（concat_manifest_YYYYMMDD_HHMMSS.json），记录本次所有输出文件与来源；不再为每个音频生成单独 JSON。
+ *   - 每次运行只生成一个清单 JSON（concat_manifest_YYYYMMDD_HHMMSS.json），记录本次所有输出文件、来源与随机种子；不再为每个音频生成单独 JSON。
  *
  * 用法（PowerShell）：
  *   node scripts/audio_concat_random.js
+ *   node scripts/audio_concat_random.js --seed 20240101
  */
 
 const fs = require('fs-extra');
@@ -26,6 +28,7 @@ const path = require('path');
 const yaml = require('js-yaml');
 const ProgressBar = require('progress');
 const { spawn } = require('child_process');
+const { setSeed, createSeed, randomInt, parseSeedArg } = require('./random_utils');
 
 const AUDIO_EXTS = new Set(['.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.wma']);
 
@@ -44,7 +47,8 @@ function loadConfig() {
   const generateCount = Number.isFinite(+ac.generateCount) ? +ac.generateCount : 10;
   // 添加firstAudio配置项支持，基于项目根目录的相对路径
   const firstAudio = ac.firstAudio || null;
-  return { inputDirs, outputDir, generateCount, firstAudio };
+  const seed = ac.seed ?? null;
+  return { inputDirs, outputDir, generateCount, firstAudio, seed };
 }
 
 async function walkDir(dir) {
@@ -62,7 +66,8 @@ async function walkDir(dir) {
     }
   }
   await walk(dir);
-  return out;
+  // 固定顺序，保证同一种子得到相同结果
+  return out.sort();
 }
 
 function pad2(n) { return String(n).padStart(2, '0'); }
@@ -102,7 +107,9 @@ function concatTwoAudios(a, b, outPath) {
 }
 
 async function main() {
-  const { inputDirs, outputDir, generateCount, firstAudio } = loadConfig();
+  const { inputDirs, outputDir, generateCount, firstAudio, seed: cfgSeed } = loadConfig();
+  const seed = setSeed(parseSeedArg(process.argv.slice(2)) ?? cfgSeed ?? createSeed());
+  console.log(`随机种子: ${seed}`);
   const projectRoot = path.resolve(__dirname, '../');
   const inAbsList = inputDirs.map(d => path.resolve(projectRoot, d));
   const outAbs = path.resolve(projectRoot, outputDir);
@@ -124,6 +131,7 @@ async function main() {
     inputDirs: inAbsList,
     outputDir: outAbs,
     generateCount,
+    seed,
     items: [],
   };
   const manifestPath = path.join(outAbs, `concat_manifest_${runTag}.json`);
@@ -155,21 +163,21 @@ async function main() {
           a = firstAudioPath;
         } else {
           // 如果找不到指定的音频，则随机选择
-          const i1 = Math.floor(Math.random() * audios.length);
+          const i1 = randomInt(audios.length);
           a = audios[i1];
         }
         
         // 选择第二个音频，确保不与第一个音频相同
         let i2;
         do {
-          i2 = Math.floor(Math.random() * audios.length);
+          i2 = randomInt(audios.length);
         } while (audios[i2] === a && audios.length > 1);
         b = audios[i2];
       } else {
         // 原有逻辑：随机选择两个不同音频
         do {
-          const i1 = Math.floor(Math.random() * audios.length);
-          let i2 = Math.floor(Math.random() * audios.length);
+          const i1 = randomInt(audios.length);
+          let i2 = randomInt(audios.length);
           if (i2 === i1) i2 = (i2 + 1) % audios.length;
           a = audios[i1];
           b = audios[i2];
@@ -235,16 +243,16 @@ async function main() {
           picks = [firstAudioPath];
         } else {
           // 如果找不到指定的音频，则随机选择
-          picks = [perDirAudios[0][Math.floor(Math.random() * perDirAudios[0].length)]];
+          picks = [perDirAudios[0][randomInt(perDirAudios[0].length)]];
         }
       } else {
         // 原有逻辑：第一个目录随机选择
-        picks = [perDirAudios[0][Math.floor(Math.random() * perDirAudios[0].length)]];
+        picks = [perDirAudios[0][randomInt(perDirAudios[0].length)]];
       }
       
       // 其他目录继续随机选择
       for (let j = 1; j < perDirAudios.length; j++) {
-        picks.push(perDirAudios[j][Math.floor(Math.random() * perDirAudios[j].length)]);
+        picks.push(perDirAudios[j][randomInt(perDirAudios[j].length)]);
       }
       
       const key = picks.join('||');
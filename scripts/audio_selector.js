@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { random, randomInt } = require('./random_utils');
+
+/**
+ * 背景音乐选择策略。每个音乐目录下维护一份使用记录（audio_usage.json），
+ * 不同产品、不同日期的批次共用同一音乐目录时，也能按历史使用情况均衡分配。
+ *
+ * 策略：
+ *   rotation    按文件名顺序轮换，从上次用到的下一首继续
+ *   random      均匀随机
+ *   weighted    按权重文件随机，权重为 0 的音频不使用
+ *   leastUsed   优先使用历史使用次数最少的音频（同次数时优先最久未用）
+ *   exactlyOnce 每首音频在一轮中恰好使用一次，全部用完后开始新一轮
+ *
+ * next() 只负责选择：本进程选出的音频在后续选择中视为已使用，但不写入使用记录；
+ * 视频渲染成功后再调用 commit() 写入。跳过的名额、渲染失败、质量检查未通过及只生成渲染计划时都不计入使用次数。
+ */
+
+const STRATEGIES = ['rotation', 'random', 'weighted', 'leastUsed', 'exactlyOnce'];
+const USAGE_FILE_NAME = 'audio_usage.json';
+
+function readUsage(usagePath) {
+  try {
+    if (fs.existsSync(usagePath)) {
+      const data = JSON.parse(fs.readFileSync(usagePath, 'utf8')) || {};
+      return { files: data.files || {}, rotation: data.rotation || {}, cycle: Array.isArray(data.cycle) ? data.cycle : null };
+    }
+  } catch (e) {
+    console.error('读取音频使用记录失败，将重新记录:', e.message);
+  }
+  return { files: {}, rotation: {}, cycle: null };
+}
+
+/**
+ * 读取权重文件（yaml 或 json）：{ 文件名: 权重 }，未列出的音频权重为 1
+ * @returns {Object<string, number>}
+ */
+function loadAudioWeights(weightPath) {
+  if (!weightPath || !fs.existsSync(weightPath)) return {};
+  try {
+    const data = yaml.load(fs.readFileSync(weightPath, 'utf8')) || {};
+    const weights = {};
+    for (const [name, w] of Object.entries(data)) {
+      if (Number.isFinite(Number(w))) weights[name] = Math.max(0, Number(w));
+    }
+    return weights;
+  } catch (e) {
+    console.error('读取音频权重文件失败，按等权处理:', e.message);
+    return {};
+  }
+}
+
+function shuffled(arr) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/**
+ * 创建音频选择器
+ * @param {object} opt
+ * @param {Array<string>} opt.files - 可选音频文件名（已排序）
+ * @param {string} opt.usageDir - 使用记录所在目录（音乐目录）
+ * @param {string} [opt.strategy='rotation']
+ * @param {string} [opt.weightFile] - weighted 策略的权重文件路径
+ * @param {number} [opt.rotationStart] - 没有使用记录时 rotation 的起始下标（兼容旧的 last_music_idx.json）
+ * @returns {{ strategy: string, next: function(): string, commit: function(string): void }}
+ */
+function createAudioSelector(opt) {
+  const files = opt.files;
+  const usagePath = path.join(opt.usageDir, USAGE_FILE_NAME);
+  let strategy = opt.strategy || 'rotation';
+  if (!STRATEGIES.includes(strategy)) {
+    console.warn(`未知的音频选择策略 ${strategy}，使用 rotation`);
+    strategy = 'rotation';
+  }
+  const weights = strategy === 'weighted' ? loadAudioWeights(opt.weightFile) : {};
+
+  const pickers = {
+    rotation(usage) {
+      const lastIdx = usage.rotation.last ? files.indexOf(usage.rotation.last) : -1;
+      if (lastIdx >= 0) return files[(lastIdx + 1) % files.length];
+      // 上次的音频已不在目录中：按文件名找到其后的第一首
+      if (usage.rotation.last) {
+        const after = files.find(f => f > usage.rotation.last);
+        return after || files[0];
+      }
+      return files[(opt.rotationStart || 0) % files.length];
+    },
+    random() {
+      return files[randomInt(files.length)];
+    },
+    weighted() {
+      const ws = files.map(f => (weights[f] !== undefined ? weights[f] : 1));
+      const total = ws.reduce((a, b) => a + b, 0);
+      if (total <= 0) return files[randomInt(files.length)];
+      let r = random() * total;
+      for (let i = 0; i < files.length; i++) {
+        r -= ws[i];
+        if (r < 0) return files[i];
+      }
+      return files[files.length - 1];
+    },
+    leastUsed(usage) {
+      const stat = f => usage.files[f] || { count: 0, lastUsed: '' };
+      return shuffled(files).sort((a, b) =>
+        (stat(a).count - stat(b).count) || String(stat(a).lastUsed).localeCompare(String(stat(b).lastUsed))
+      )[0];
+    },
+    exactlyOnce(usage) {
+      let cycle = (usage.cycle || []).filter(f => files.includes(f));
+      if (cycle.length === 0) {
+        cycle = shuffled(files);
+        // 新一轮的第一首避开上一轮的最后一首
+        if (cycle.length > 1 && cycle[0] === usage.rotation.last) cycle.push(cycle.shift());
+        if (usage.cycle) console.log(`音频已全部使用一轮，开始新一轮（共 ${files.length} 首）`);
+      }
+      const pick = cycle.shift();
+      usage.cycle = cycle;
+      return pick;
+    }
+  };
+
+  const reserved = []; // 本进程已选出、尚未确认使用的音频 { pick, at }
+  let lastPicked = null;
+  let cycle = null; // exactlyOnce：本进程当前一轮中尚未选出的音频
+
+  // 每次选择前重新读取记录，同一音乐目录被多个批次同时使用时尽量不互相冲突；
+  // 再叠加本进程已选出但尚未确认的音频
+  function next() {
+    const usage = readUsage(usagePath);
+    for (const { pick, at } of reserved) {
+      const stat = usage.files[pick] || { count: 0 };
+      usage.files[pick] = { count: (stat.count || 0) + 1, lastUsed: at };
+    }
+    if (lastPicked) usage.rotation = { last: lastPicked };
+    if (cycle) usage.cycle = cycle;
+    const pick = pickers[strategy](usage);
+    if (strategy === 'exactlyOnce') cycle = usage.cycle;
+    reserved.push({ pick, at: new Date().toISOString() });
+    lastPicked = pick;
+    return pick;
+  }
+
+  // 确认使用（视频渲染成功后调用）：写入使用记录，使用时间记为选出的时间，确认的先后不影响后续选择。
+  // exactlyOnce 下本轮剩余部分为未选出与已选出未确认的音频
+  function commit(pick) {
+    const idx = reserved.findIndex(r => r.pick === pick);
+    const at = idx >= 0 ? reserved.splice(idx, 1)[0].at : undefined;
+    recordAudioUse(opt.usageDir, pick, strategy === 'exactlyOnce' && cycle ? cycle.concat(reserved.map(r => r.pick)) : undefined, at);
+  }
+
+  return { strategy, next, commit };
+}
+
+/**
+ * 写入一次音频使用：使用次数加一、记为最近使用，并从 exactlyOnce 的当前一轮中移除
+ * @param {string} usageDir - 使用记录所在目录（音乐目录）
+ * @param {string} pick - 音频文件名
+ * @param {Array<string>} [cycle] - 本轮剩余音频，为空时沿用记录中的当前一轮
+ * @param {string} [usedAt] - 使用时间（ISO），默认当前时间
+ */
+function recordAudioUse(usageDir, pick, cycle, usedAt) {
+  const usagePath = path.join(usageDir, USAGE_FILE_NAME);
+  const usage = readUsage(usagePath);
+  const stat = usage.files[pick] || { count: 0 };
+  usage.files[pick] = { count: (stat.count || 0) + 1, lastUsed: usedAt || new Date().toISOString() };
+  usage.rotation = { last: pick };
+  const remaining = Array.isArray(cycle) ? cycle : usage.cycle;
+  if (Array.isArray(remaining)) usage.cycle = remaining.filter(f => f !== pick);
+  try {
+    fs.writeFileSync(usagePath, JSON.stringify(usage, null, 2));
+  } catch (e) {
+    console.error('写入音频使用记录失败:', e.message);
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  createAudioSelector,
+  recordAudioUse,
+  loadAudioWeights,
+};
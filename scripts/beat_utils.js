@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+
+/**
+ * 节拍/起音点检测：用 ffmpeg 将音频解码为单声道 PCM，离线计算能量起音曲线并挑选峰值。
+ * 不依赖额外的音频分析库，适合给背景音乐找"卡点"位置。
+ */
+
+const DEFAULT_SAMPLE_RATE = 22050;
+
+// 解码为单声道 32 位浮点 PCM
+function decodeAudioPcm(audioPath, sampleRate = DEFAULT_SAMPLE_RATE) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error', '-nostdin',
+      '-i', String(audioPath).replace(/\\/g, '/'),
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 'f32le',
+      '-'
+    ];
+    const ff = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    ff.stdout.on('data', d => chunks.push(d));
+    ff.stderr.on('data', d => { stderr += d.toString(); });
+    ff.on('close', code => {
+      if (code !== 0) return reject(new Error(`ffmpeg 解码音频失败 (code=${code}): ${stderr}`));
+      const buf = Buffer.concat(chunks);
+      const byteLen = Math.floor(buf.length / 4) * 4;
+      // 复制一份对齐的 ArrayBuffer，Buffer 池中的偏移不一定是 4 的倍数
+      const samples = new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + byteLen));
+      resolve(samples);
+    });
+    ff.on('error', reject);
+  });
+}
+
+/**
+ * 从 PCM 计算起音点时间（秒）
+ * @param {Float32Array} samples - 单声道样本
+ * @param {number} sampleRate
+ * @param {object} [opt]
+ * @param {number} [opt.frameSize=1024] - 分析帧长度（样本数）
+ * @param {number} [opt.hopSize=512] - 帧移（样本数）
+ * @param {number} [opt.sensitivity=1.5] - 峰值需超过局部均值的倍数，越小检测到的点越多
+ * @param {number} [opt.minInterval=0.3] - 相邻起音点最小间隔（秒）
+ * @returns {Array<number>}
+ */
+function detectOnsets(samples, sampleRate, opt = {}) {
+  const frameSize = opt.frameSize || 1024;
+  const hopSize = opt.hopSize || 512;
+  const sensitivity = opt.sensitivity || 1.5;
+  const minInterval = opt.minInterval || 0.3;
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+  if (frameCount < 3) return [];
+
+  // 1) 每帧对数能量
+  const logEnergy = new Float64Array(frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    let e = 0;
+    const start = i * hopSize;
+    for (let j = 0; j < frameSize; j++) {
+      const v = samples[start + j];
+      e += v * v;
+    }
+    logEnergy[i] = Math.log(1e-10 + e / frameSize);
+  }
+  // 2) 起音强度：对数能量的正向差分（半波整流）
+  const flux = new Float64Array(frameCount);
+  for (let i = 1; i < frameCount; i++) {
+    flux[i] = Math.max(0, logEnergy[i] - logEnergy[i - 1]);
+  }
+  // 3) 自适应阈值 + 局部最大值挑峰
+  const frameSec = hopSize / sampleRate;
+  const meanHalf = Math.max(1, Math.round(0.5 / frameSec)); // 约 ±0.5s 的局部均值窗口
+  const peakHalf = Math.max(1, Math.round((minInterval / 2) / frameSec));
+  const prefix = new Float64Array(frameCount + 1);
+  for (let i = 0; i < frameCount; i++) prefix[i + 1] = prefix[i] + flux[i];
+  const peaks = [];
+  for (let i = 1; i < frameCount - 1; i++) {
+    const v = flux[i];
+    if (v <= 0) continue;
+    const lo = Math.max(0, i - meanHalf);
+    const hi = Math.min(frameCount, i + meanHalf + 1);
+    const localMean = (prefix[hi] - prefix[lo]) / (hi - lo);
+    if (v < localMean * sensitivity) continue;
+    let isMax = true;
+    for (let k = Math.max(0, i - peakHalf); k <= Math.min(frameCount - 1, i + peakHalf); k++) {
+      if (flux[k] > v) { isMax = false; break; }
+    }
+    if (isMax) peaks.push({ time: (i * hopSize + frameSize / 2) / sampleRate, strength: v }); // 取帧中心时间
+  }
+  // 4) 强制最小间隔：过近的两个点保留更强的一个
+  const result = [];
+  for (const p of peaks) {
+    const last = result[result.length - 1];
+    if (last && p.time - last.time < minInterval) {
+      if (p.strength > last.strength) result[result.length - 1] = p;
+    } else {
+      result.push(p);
+    }
+  }
+  return result.map(p => +p.time.toFixed(3));
+}
+
+/**
+ * 检测音频文件的节拍/起音点
+ * @param {string} audioPath
+ * @param {object} [opt] - 同 detectOnsets
+ * @returns {Promise<Array<number>>} 时间点（秒），升序
+ */
+async function detectBeats(audioPath, opt = {}) {
+  const sampleRate = opt.sampleRate || DEFAULT_SAMPLE_RATE;
+  const samples = await decodeAudioPcm(audioPath, sampleRate);
+  return detectOnsets(samples, sampleRate, opt);
+}
+
+module.exports = {
+  decodeAudioPcm,
+  detectOnsets,
+  detectBeats,
+};
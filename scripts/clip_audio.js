@@ -0,0 +1,81 @@
+const path = require('path');
+
+/**
+ * 片段原声：分割时保留片段音轨，合成时以可配置的音量混在背景音乐之下，
+ * 可选用 sidechaincompress 做闪避（ducking）。按片段目录开启（config.clipAudio.dirs）。
+ */
+
+// 分割/放大时保留音轨使用的编码参数
+const CLIP_AUDIO_CODEC_ARGS = ['-c:a', 'aac', '-b:a', '128k', '-ar', '44100', '-ac', '2'];
+
+/**
+ * 片段目录是否保留原声
+ * @param {object} cfg - config.clipAudio
+ * @param {string} dir - 片段目录（绝对路径）
+ * @returns {boolean}
+ */
+function isClipAudioDir(cfg, dir) {
+  const dirs = (cfg && Array.isArray(cfg.dirs)) ? cfg.dirs : [];
+  const target = path.resolve(dir);
+  return dirs.some(d => path.resolve(__dirname, '../', String(d)) === target);
+}
+
+/**
+ * 把 ffmpeg 参数中的 -an 替换为保留音轨的编码参数
+ * @param {Array<string>} args
+ * @returns {Array<string>}
+ */
+function keepAudioArgs(args) {
+  return args.flatMap(a => (a === '-an' ? CLIP_AUDIO_CODEC_ARGS : [a]));
+}
+
+/**
+ * 构建片段原声与背景音乐的混音滤镜段落
+ * @param {string} clipLabel - 拼接后的片段原声标签
+ * @param {string} musicLabel - 背景音乐标签（已截断到成片时长）
+ * @param {string} outLabel - 输出标签
+ * @param {object} cfg - config.clipAudio
+ * @param {number} [cfg.volume=0.3] - 片段原声音量
+ * @param {number} [cfg.musicVolume=1] - 背景音乐音量
+ * @param {object} [cfg.duck] - 闪避：{ enable, target: 'clip'|'music', threshold, ratio, attack, release }
+ *   target 为 clip 时音乐响起压低原声；为 music 时原声（如口播）出现压低音乐
+ * @returns {Array<string>}
+ */
+function buildClipAudioMix(clipLabel, musicLabel, outLabel, cfg = {}) {
+  const volume = Number.isFinite(cfg.volume) ? cfg.volume : 0.3;
+  const musicVolume = Number.isFinite(cfg.musicVolume) ? cfg.musicVolume : 1;
+  const duck = cfg.duck || {};
+  const parts = [
+    `[${clipLabel}]volume=${volume}[cavol]`,
+    `[${musicLabel}]volume=${musicVolume}[mavol]`
+  ];
+  // 第一个输入为背景音乐，混音时长以音乐为准
+  let music = 'mavol';
+  let clip = 'cavol';
+  if (duck.enable) {
+    const compress = [
+      `threshold=${Number.isFinite(duck.threshold) ? duck.threshold : 0.05}`,
+      `ratio=${Number.isFinite(duck.ratio) ? duck.ratio : 8}`,
+      `attack=${Number.isFinite(duck.attack) ? duck.attack : 20}`,
+      `release=${Number.isFinite(duck.release) ? duck.release : 300}`
+    ].join(':');
+    if (duck.target === 'music') {
+      parts.push(`[cavol]asplit=2[camix][casc]`, `[mavol][casc]sidechaincompress=${compress}[maduck]`);
+      music = 'maduck';
+      clip = 'camix';
+    } else {
+      parts.push(`[mavol]asplit=2[mamix][masc]`, `[cavol][masc]sidechaincompress=${compress}[caduck]`);
+      music = 'mamix';
+      clip = 'caduck';
+    }
+  }
+  parts.push(`[${music}][${clip}]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[${outLabel}]`);
+  return parts;
+}
+
+module.exports = {
+  CLIP_AUDIO_CODEC_ARGS,
+  isClipAudioDir,
+  keepAudioArgs,
+  buildClipAudioMix,
+};
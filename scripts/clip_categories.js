@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getClipSourceAlias } = require('./alias_utils');
+
+/**
+ * 片段分类与结构模板：片段通过子文件夹或标签文件归类，
+ * 结构模板按顺序列出类别槽位及每个槽位的时长范围（如 开场 → 特写 → 上身 → 细节 → 结尾）。
+ *
+ * 标签文件（默认 clipsDir/clip_tags.yaml）：键为片段名（不含扩展名）或来源别名（片段名去掉末尾序号），
+ * 值为类别或类别列表；片段名优先于来源别名。
+ *   A198_3: hook
+ *   A198: [wearing, detail]
+ */
+
+/**
+ * 扫描片段目录：顶层片段与子文件夹中的片段（子文件夹名即类别，以 _ 开头的目录为缓存目录，跳过）
+ * @param {string} clipsDir
+ * @param {string} [tagFile] - 标签文件路径，不存在时只按子文件夹分类
+ * @returns {{ files: Array<string>, categories: Map<string, Set<string>> }} categories 为 片段路径 → 类别集合
+ */
+function loadClipCategories(clipsDir, tagFile) {
+  const files = [];
+  const categories = new Map();
+  const addCategory = (f, c) => {
+    if (!categories.has(f)) categories.set(f, new Set());
+    categories.get(f).add(String(c));
+  };
+  for (const entry of fs.readdirSync(clipsDir, { withFileTypes: true })) {
+    if (entry.isFile() && /\.mp4$/i.test(entry.name)) {
+      files.push(path.join(clipsDir, entry.name));
+    } else if (entry.isDirectory() && !entry.name.startsWith('_')) {
+      const sub = path.join(clipsDir, entry.name);
+      for (const f of fs.readdirSync(sub).filter(x => /\.mp4$/i.test(x))) {
+        files.push(path.join(sub, f));
+        addCategory(path.join(sub, f), entry.name);
+      }
+    }
+  }
+  // 不同子文件夹中的同名片段：合成记录中以 子文件夹/文件名 区分，但 clip_tags.yaml 按文件名归类时无法区分
+  const byName = new Map();
+  for (const f of files) {
+    const id = path.parse(f).name;
+    if (!byName.has(id)) byName.set(id, []);
+    byName.get(id).push(path.relative(clipsDir, f));
+  }
+  for (const [id, list] of byName) {
+    if (list.length > 1) console.warn(`片段文件名重复: ${id}（${list.join('、')}），clip_tags.yaml 中的 ${id} 会同时作用于这些片段`);
+  }
+  const tags = readTagFile(tagFile);
+  for (const f of files) {
+    const id = path.parse(f).name;
+    const value = tags[id] !== undefined ? tags[id] : tags[getClipSourceAlias(f)];
+    if (value === undefined || value === null) continue;
+    for (const c of [].concat(value)) addCategory(f, c);
+  }
+  // 固定顺序，相同种子得到相同的选片
+  return { files: files.sort(), categories };
+}
+
+function readTagFile(tagFile) {
+  if (!tagFile || !fs.existsSync(tagFile)) return {};
+  try {
+    const data = yaml.load(fs.readFileSync(tagFile, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    console.error('读取片段标签文件失败:', e.message);
+    return {};
+  }
+}
+
+/**
+ * 规范化结构模板槽位
+ * @param {Array<object>} slots - config.structure.slots：[{ category, min, max }]，category 为空表示任意片段
+ * @returns {Array<{ category: string|null, min: number, max: number }>}
+ */
+function normalizeSlots(slots) {
+  return (Array.isArray(slots) ? slots : []).map(s => {
+    const min = Math.max(0, Number(s.min) || 0);
+    const max = Number.isFinite(Number(s.max)) && Number(s.max) >= min ? Number(s.max) : min;
+    return { category: s.category ? String(s.category) : null, min, max };
+  }).filter(s => s.max > 0);
+}
+
+/**
+ * 按时长范围把总时长分配给各槽位：每个槽位先取 min，剩余时长按各槽位 (max - min) 的比例分配
+ * @param {Array<{ min: number, max: number }>} slots
+ * @param {number} total
+ * @returns {Array<number>|null} 各槽位时长，总时长不在 [Σmin, Σmax] 内时为 null
+ */
+function allocateSlotDurations(slots, total) {
+  const minSum = slots.reduce((a, s) => a + s.min, 0);
+  const range = slots.reduce((a, s) => a + (s.max - s.min), 0);
+  const free = total - minSum;
+  if (free < -0.01 || free > range + 0.01) return null;
+  const ratio = range > 0 ? Math.min(Math.max(free / range, 0), 1) : 0;
+  return slots.map(s => s.min + (s.max - s.min) * ratio);
+}
+
+module.exports = {
+  loadClipCategories,
+  normalizeSlots,
+  allocateSlotDurations,
+};
@@ -0,0 +1,88 @@
+const fs = require('fs-extra');
+const { isSameClipsDir } = require('./synthesis_log_utils');
+
+/**
+ * 片段组合索引：记录每个已生成视频使用过的片段集合及片段目录，用于跨批次的近似重复检测。
+ * 索引持久化为 JSON：{ 视频文件名: { clipsDir, clips: [片段标识...] } }，启动时再与历史 synthesis_log.json 合并，
+ * 即使索引文件被删除也能从合成记录中重建。多个产品共用 outputDir 时只与相同片段目录的视频比较。
+ */
+
+// 索引条目：片段标识集合与片段目录（旧索引没有片段目录时为 null，与任何目录都比较）
+function makeIndexEntry(ids, clipsDir) {
+  return { ids: new Set(ids), clipsDir: clipsDir || null };
+}
+
+/**
+ * 读取索引文件，返回 Map<视频文件名, { ids: Set<片段标识>, clipsDir }>
+ * @param {string} indexPath - 索引文件路径
+ * @returns {Map<string, { ids: Set<string>, clipsDir: string|null }>}
+ */
+function loadClipSetIndex(indexPath) {
+  const index = new Map();
+  if (!fs.existsSync(indexPath)) return index;
+  try {
+    const data = JSON.parse(fs.readFileSync(indexPath, 'utf8')) || {};
+    for (const [videoName, value] of Object.entries(data)) {
+      if (Array.isArray(value)) index.set(videoName, makeIndexEntry(value, null));
+      else if (value && Array.isArray(value.clips)) index.set(videoName, makeIndexEntry(value.clips, value.clipsDir));
+    }
+  } catch (e) {
+    console.error('读取片段组合索引失败，将从合成记录重建:', e.message);
+  }
+  return index;
+}
+
+/**
+ * 将合成记录合并进索引（以合成记录为准覆盖同名视频）
+ * @param {Map<string, { ids: Set<string>, clipsDir: string|null }>} index
+ * @param {Array<object>} records - loadSynthesisRecords 的返回值
+ */
+function mergeRecordsIntoIndex(index, records) {
+  for (const rec of records) {
+    if (Array.isArray(rec.clips) && rec.clips.length > 0) {
+      index.set(rec.videoName, makeIndexEntry(rec.clips, rec.clipsDir));
+    }
+  }
+  return index;
+}
+
+function saveClipSetIndex(indexPath, index) {
+  const data = {};
+  for (const [videoName, entry] of index) data[videoName] = { clipsDir: entry.clipsDir, clips: [...entry.ids] };
+  fs.writeFileSync(indexPath, JSON.stringify(data, null, 2));
+}
+
+// Jaccard 相似度：交集大小 / 并集大小
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+/**
+ * 查找与候选片段集合最相似的已有视频（只比较片段目录相同的视频）
+ * @param {Map<string, { ids: Set<string>, clipsDir: string|null }>} index
+ * @param {Array<string>} ids - 候选视频的片段标识
+ * @param {string} [clipsDir] - 候选视频的片段目录，为空时与全部视频比较
+ * @returns {{ videoName: string, similarity: number } | null}
+ */
+function findMostSimilar(index, ids, clipsDir) {
+  const candidate = new Set(ids);
+  let best = null;
+  for (const [videoName, entry] of index) {
+    if (!isSameClipsDir(entry, clipsDir)) continue;
+    const similarity = jaccardSimilarity(candidate, entry.ids);
+    if (!best || similarity > best.similarity) best = { videoName, similarity };
+  }
+  return best;
+}
+
+module.exports = {
+  makeIndexEntry,
+  loadClipSetIndex,
+  mergeRecordsIntoIndex,
+  saveClipSetIndex,
+  jaccardSimilarity,
+  findMostSimilar,
+};
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runFfmpegLogged } = require('./video_utils');
+const { buildDrawtextFilter } = require('./text_overlay');
+
+/**
+ * 封面图：从成片开头的 hook 片段中挑一帧代表画面，可选叠加标题，保存为与成片同名的 JPG。
+ *
+ * 选帧方式：
+ *   thumbnail  ffmpeg thumbnail 滤镜，选出与区间内平均画面最接近的一帧
+ *   score      按固定间隔取帧，综合清晰度（边缘图平均亮度）与亮度（越接近 targetBrightness 越好）打分，取最高分
+ */
+
+const COVER_METHODS = ['thumbnail', 'score'];
+
+// 解析 metadata=print 输出：每个 metadata 滤镜各输出一行 pts_time 及其后的 key=value 行，
+// 同一帧的多个值按滤镜顺序归到同一时间点下
+function parseFrameMetadata(stderr, key) {
+  const byTime = new Map();
+  let cur = null;
+  for (const line of stderr.split(/\r?\n/)) {
+    const t = line.match(/pts_time:([\d.]+)/);
+    if (t) {
+      const time = parseFloat(t[1]);
+      if (!byTime.has(time)) byTime.set(time, { time, values: [] });
+      cur = byTime.get(time);
+      continue;
+    }
+    const v = line.match(new RegExp(`${key.replace(/\./g, '\\.')}=([\\d.]+)`));
+    if (v && cur) cur.values.push(parseFloat(v[1]));
+  }
+  return Array.from(byTime.values());
+}
+
+/**
+ * 按清晰度与亮度给候选帧打分
+ * @param {Array<{ time: number, brightness: number, sharpness: number }>} frames
+ * @param {number} [targetBrightness=128] - 理想平均亮度（0-255）
+ * @returns {{ time: number, score: number }|null}
+ */
+function pickBestFrame(frames, targetBrightness = 128) {
+  let best = null;
+  for (const f of frames) {
+    const brightnessScore = Math.max(0, 1 - Math.abs(f.brightness - targetBrightness) / 128);
+    const score = f.sharpness * brightnessScore;
+    if (!best || score > best.score) best = { time: f.time, score: +score.toFixed(4) };
+  }
+  return best;
+}
+
+/**
+ * 在 [start, start + duration) 区间内选出封面帧的时间点
+ * @param {string} videoPath
+ * @param {number} start
+ * @param {number} duration
+ * @param {object} cfg - config.cover
+ * @returns {Promise<{ time: number, method: string, score?: number }>}
+ */
+async function pickCoverTime(videoPath, start, duration, cfg = {}) {
+  const method = COVER_METHODS.includes(cfg.method) ? cfg.method : 'thumbnail';
+  const input = ['-hide_banner', '-nostdin', '-ss', start.toFixed(3), '-t', duration.toFixed(3), '-i', videoPath];
+  if (method === 'score') {
+    const sampleFps = Number.isFinite(cfg.sampleFps) && cfg.sampleFps > 0 ? cfg.sampleFps : 4;
+    const key = 'lavfi.signalstats.YAVG';
+    // 第一次 signalstats 为画面亮度，边缘检测后的第二次为清晰度
+    const vf = `fps=${sampleFps},signalstats,metadata=print:key=${key},` +
+      `edgedetect=low=0.1:high=0.3,signalstats,metadata=print:key=${key}`;
+    const { stderr } = await runFfmpegLogged([...input, '-vf', vf, '-an', '-f', 'null', '-'], `cover_score_${path.parse(videoPath).name}`, 120);
+    const frames = parseFrameMetadata(stderr, key)
+      .filter(f => f.values.length >= 2)
+      .map(f => ({ time: f.time, brightness: f.values[0], sharpness: f.values[1] }));
+    const best = pickBestFrame(frames, Number.isFinite(cfg.targetBrightness) ? cfg.targetBrightness : 128);
+    if (best) return { time: +(start + best.time).toFixed(3), method, score: best.score };
+    return { time: +start.toFixed(3), method };
+  }
+  const frames = Number.isFinite(cfg.thumbnailFrames) && cfg.thumbnailFrames > 1 ? cfg.thumbnailFrames : 50;
+  const { stderr } = await runFfmpegLogged(
+    [...input, '-vf', `thumbnail=${frames},showinfo`, '-frames:v', '1', '-an', '-f', 'null', '-'], `cover_thumbnail_${path.parse(videoPath).name}`, 120);
+  const m = stderr.match(/Parsed_showinfo[\s\S]*?pts_time:([\d.]+)/);
+  return { time: +(start + (m ? parseFloat(m[1]) : 0)).toFixed(3), method };
+}
+
+/**
+ * 生成封面图
+ * @param {string} videoPath - 成片路径，封面保存为同目录同名 .jpg
+ * @param {object} opt
+ * @param {number} opt.hookDuration - hook 片段在成片中的时长（秒）
+ * @param {number} [opt.time] - 指定封面帧时间点（还原视频时沿用记录中的时间），不再选帧
+ * @param {string} [opt.title] - 叠加的标题，为空不叠加
+ * @param {string} [opt.workDir] - 标题文本临时文件目录
+ * @param {object} cfg - config.cover
+ * @returns {Promise<{ file: string, time: number, method: string, score?: number, title?: string }>}
+ */
+async function generateCover(videoPath, opt, cfg = {}) {
+  const hookDuration = Math.max(0.1, opt.hookDuration || 0);
+  // 跳过开头的转场/淡入帧
+  const skip = Math.min(Number.isFinite(cfg.skipStart) ? cfg.skipStart : 0.2, hookDuration / 2);
+  const picked = Number.isFinite(opt.time)
+    ? { time: opt.time, method: 'fixed' }
+    : await pickCoverTime(videoPath, skip, hookDuration - skip, cfg);
+  const coverPath = videoPath.replace(/\.mp4$/i, '.jpg');
+  const args = ['-y', '-hide_banner', '-nostdin', '-ss', picked.time.toFixed(3), '-i', videoPath, '-frames:v', '1'];
+  let titleFile = null;
+  if (opt.title) {
+    titleFile = path.join(opt.workDir || path.dirname(videoPath), `cover_title_${Date.now()}.txt`);
+    fs.writeFileSync(titleFile, opt.title, 'utf8');
+    const style = { position: 'center', fontSize: 96, borderWidth: 6, ...(cfg.title || {}) };
+    args.push('-vf', buildDrawtextFilter(titleFile, null, style));
+  }
+  args.push('-q:v', String(Number.isFinite(cfg.quality) ? cfg.quality : 2), coverPath);
+  try {
+    await runFfmpegLogged(args, `cover_extract_${path.parse(videoPath).name}`, 60);
+  } finally {
+    if (titleFile) try { fs.unlinkSync(titleFile); } catch (_) { }
+  }
+  return { file: path.basename(coverPath), ...picked, title: opt.title || undefined };
+}
+
+module.exports = {
+  COVER_METHODS,
+  parseFrameMetadata,
+  pickBestFrame,
+  pickCoverTime,
+  generateCover,
+};
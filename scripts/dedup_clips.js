@@ -3,6 +3,7 @@ const path = require('path');
 const yaml = require('js-yaml');
 const crypto = require('crypto');
 const { getClipDuration } = require('./video_utils');
+const { probeMany } = require('./probe_cache');
 
 // 读取配置
 const config = yaml.load(fs.readFileSync(path.join(__dirname, '../config.yaml'), 'utf8'));
@@ -20,6 +21,8 @@ function getFileHash(filePath) {
 
 (async () => {
   const files = fs.readdirSync(clipsDir).filter(f => /\.(mp4|mov|avi|mkv)$/i.test(f));
+  // 并行探测时长（有并发上限），后续读取缓存
+  await probeMany(files.map(f => path.join(clipsDir, f)));
   const infoList = [];
   for (const file of files) {
     const filePath = path.join(clipsDir, file);
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
+const { getMediaDuration } = require('./probe_cache');
 const { spawn } = require('child_process');
 
 // 读取配置
@@ -20,21 +21,9 @@ async function extractAudio(videoPath, audioPath) {
   });
 }
 
+// 获取音频时长（读取探测缓存）
 async function getAudioDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    const ffprobe = spawn('ffprobe', [
-      '-v', 'error',
-      '-show_entries', 'format=duration',
-      '-of', 'default=noprint_wrappers=1:nokey=1',
-      filePath
-    ]);
-    let data = '';
-    ffprobe.stdout.on('data', chunk => data += chunk);
-    ffprobe.on('close', () => {
-      resolve(parseFloat(data));
-    });
-    ffprobe.on('error', err => reject(err));
-  });
+  return getMediaDuration(filePath);
 }
 
 // 生成递归目录的别名映射
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
+const { getMediaDuration, probeMany } = require('./probe_cache');
 
 // 读取配置
 const config = yaml.load(fs.readFileSync(path.join(__dirname, '../config.yaml'), 'utf8'));
@@ -12,23 +13,9 @@ const enableAudioFilter = config.enableAudioFilter !== undefined ? config.enable
 // 创建筛选后的音频目录
 const filteredAudioDir = path.join(musicDir, `${minAudioDuration}-${maxAudioDuration}`);
 
-// 获取音频时长
+// 获取音频时长（读取探测缓存）
 async function getAudioDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    const { spawn } = require('child_process');
-    const ffprobe = spawn('ffprobe', [
-      '-v', 'error',
-      '-show_entries', 'format=duration',
-      '-of', 'default=noprint_wrappers=1:nokey=1',
-      filePath
-    ]);
-    let data = '';
-    ffprobe.stdout.on('data', chunk => data += chunk);
-    ffprobe.on('close', () => {
-      resolve(parseFloat(data));
-    });
-    ffprobe.on('error', err => reject(err));
-  });
+  return getMediaDuration(filePath);
 }
 
 // 筛选音频文件
@@ -53,6 +40,8 @@ async function filterAudioFiles() {
   // 获取所有音频文件
   const audioFiles = fs.readdirSync(musicDir).filter(f => /\.(aac|mp3|wav|m4a)$/i.test(f));
   console.log(`找到 ${audioFiles.length} 个音频文件`);
+  // 并行探测时长（有并发上限）
+  await probeMany(audioFiles.map(f => path.join(musicDir, f)));
 
   let validCount = 0;
   for (const file of audioFiles) {
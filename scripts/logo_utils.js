@@ -0,0 +1,75 @@
+/**
+ * Logo/水印叠加：根据位置预设或坐标生成 overlay 滤镜。
+ * 叠加在已有视频滤镜链之后，编码参数仍由调用方（buildVideoCodecArgs）决定。
+ */
+
+const { randomInt } = require('./random_utils');
+
+// 位置预设：W/H 为主画面尺寸，w/h 为 logo 尺寸，m 为边距
+const LOGO_POSITIONS = {
+  'top-left': (m) => ({ x: `${m}`, y: `${m}` }),
+  'top-right': (m) => ({ x: `W-w-${m}`, y: `${m}` }),
+  'bottom-left': (m) => ({ x: `${m}`, y: `H-h-${m}` }),
+  'bottom-right': (m) => ({ x: `W-w-${m}`, y: `H-h-${m}` }),
+  'center': () => ({ x: '(W-w)/2', y: '(H-h)/2' }),
+};
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * 为一个视频确定 logo 位置
+ * @param {object} cfg - config.logo
+ * @param {string} [cfg.position='top-right'] - 位置预设
+ * @param {boolean} [cfg.randomCorner=false] - 每个视频随机选择四个角之一
+ * @param {string|number} [cfg.x] - 自定义横坐标（overlay 表达式），与 y 同时填写时覆盖预设
+ * @param {string|number} [cfg.y] - 自定义纵坐标
+ * @returns {string} 位置预设名，自定义坐标时为 'custom'
+ */
+function pickLogoPosition(cfg = {}) {
+  if (cfg.randomCorner) return CORNERS[randomInt(CORNERS.length)];
+  if (cfg.x !== undefined && cfg.x !== '' && cfg.y !== undefined && cfg.y !== '') return 'custom';
+  return LOGO_POSITIONS[cfg.position] ? cfg.position : 'top-right';
+}
+
+/**
+ * 构建 logo 叠加滤镜段落
+ * @param {string} baseLabel - 主画面标签
+ * @param {number} logoInput - logo 图片的输入序号
+ * @param {string} outLabel - 输出标签
+ * @param {string} position - pickLogoPosition 的结果
+ * @param {object} cfg - config.logo（opacity、width、margin、x、y）
+ * @returns {Array<string>}
+ */
+function buildLogoOverlay(baseLabel, logoInput, outLabel, position, cfg = {}) {
+  const margin = Number.isFinite(cfg.margin) ? cfg.margin : 30;
+  const opacity = Number.isFinite(cfg.opacity) ? Math.min(Math.max(cfg.opacity, 0), 1) : 1;
+  const { x, y } = position === 'custom' ? { x: cfg.x, y: cfg.y } : LOGO_POSITIONS[position](margin);
+  const logoChain = [];
+  if (cfg.width > 0) logoChain.push(`scale=${cfg.width}:-1`);
+  logoChain.push('format=rgba');
+  if (opacity < 1) logoChain.push(`colorchannelmixer=aa=${opacity}`);
+  return [
+    `[${logoInput}:v]${logoChain.join(',')}[logo]`,
+    `[${baseLabel}][logo]overlay=x=${x}:y=${y},format=yuv420p[${outLabel}]`
+  ];
+}
+
+/**
+ * 构建带 logo 叠加的 filter_complex。输入 0 为主视频，输入 1 为 logo 图片，输出标签为 [vout]。
+ * @param {Array<string>} videoFilters - 叠加前对主视频应用的滤镜（可为空）
+ * @param {string} position - pickLogoPosition 的结果
+ * @param {object} cfg - config.logo
+ * @returns {string}
+ */
+function buildLogoFilterComplex(videoFilters, position, cfg = {}) {
+  return [
+    `[0:v]${videoFilters.length ? videoFilters.join(',') : 'null'}[base]`,
+    ...buildLogoOverlay('base', 1, 'vout', position, cfg)
+  ].join(';');
+}
+
+module.exports = {
+  LOGO_POSITIONS,
+  pickLogoPosition,
+  buildLogoOverlay,
+  buildLogoFilterComplex,
+};
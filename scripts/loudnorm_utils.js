@@ -0,0 +1,93 @@
+const { spawn } = require('child_process');
+
+/**
+ * 响度标准化（EBU R128，ffmpeg loudnorm 双遍）：
+ * 第一遍只解码音频、测量响度；第二遍把测量值传给 loudnorm，以线性增益校正到目标响度。
+ */
+
+/**
+ * 读取响度目标
+ * @param {object} cfg - config.loudnorm
+ * @returns {{ I: number, TP: number, LRA: number }}
+ */
+function getLoudnormTarget(cfg = {}) {
+  return {
+    I: Number.isFinite(cfg.integrated) ? cfg.integrated : -14,
+    TP: Number.isFinite(cfg.truePeak) ? cfg.truePeak : -1.5,
+    LRA: Number.isFinite(cfg.lra) ? cfg.lra : 11
+  };
+}
+
+/**
+ * 构建 loudnorm 滤镜。measured 为空时为第一遍测量滤镜，否则为第二遍校正滤镜（末尾重采样回 44.1kHz）
+ * @param {object} cfg - config.loudnorm
+ * @param {object} [measured] - measureLoudness 的结果
+ * @returns {string}
+ */
+function buildLoudnormFilter(cfg, measured) {
+  const t = getLoudnormTarget(cfg);
+  const base = `loudnorm=I=${t.I}:TP=${t.TP}:LRA=${t.LRA}`;
+  if (!measured) return `${base}:print_format=json`;
+  return `${base}:measured_I=${measured.I}:measured_TP=${measured.TP}:measured_LRA=${measured.LRA}` +
+    `:measured_thresh=${measured.thresh}:offset=${measured.offset}:linear=true:print_format=summary,aresample=44100`;
+}
+
+// loudnorm 在 stderr 末尾输出一段 JSON
+function parseLoudnormJson(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start < 0 || end < start) return null;
+  try {
+    const data = JSON.parse(stderr.slice(start, end + 1));
+    const values = {
+      I: Number(data.input_i),
+      TP: Number(data.input_tp),
+      LRA: Number(data.input_lra),
+      thresh: Number(data.input_thresh),
+      offset: Number(data.target_offset)
+    };
+    // 静音输入时测量值为 -inf，无法用于第二遍
+    return Object.values(values).every(Number.isFinite) ? values : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 第一遍：测量响度
+ * @param {Array<string>} inputs - 输入文件
+ * @param {string} audioGraph - 输出标签为 [lin] 的音频滤镜图（不含 loudnorm）
+ * @param {object} cfg - config.loudnorm
+ * @param {number} [timeoutMs=120000]
+ * @returns {Promise<{ I: number, TP: number, LRA: number, thresh: number, offset: number }>}
+ */
+function measureLoudness(inputs, audioGraph, cfg, timeoutMs = 120000) {
+  return new Promise((resolve, reject) => {
+    const args = ['-hide_banner', '-nostdin'];
+    for (const f of inputs) args.push('-i', String(f).replace(/\\/g, '/'));
+    args.push(
+      '-filter_complex', `${audioGraph};[lin]${buildLoudnormFilter(cfg)}[lmeasure]`,
+      '-map', '[lmeasure]',
+      '-f', 'null', '-'
+    );
+    const ff = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => ff.kill('SIGKILL'), timeoutMs);
+    ff.stderr.on('data', d => { stderr += d.toString(); });
+    ff.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) return reject(new Error(`响度测量失败 (code=${code}): ${stderr.slice(-500)}`));
+      const measured = parseLoudnormJson(stderr);
+      if (!measured) return reject(new Error('响度测量结果无效（音频可能为静音）'));
+      resolve(measured);
+    });
+    ff.on('error', err => { clearTimeout(timer); reject(err); });
+  });
+}
+
+module.exports = {
+  getLoudnormTarget,
+  buildLoudnormFilter,
+  parseLoudnormJson,
+  measureLoudness,
+};
@@ -0,0 +1,59 @@
+const { random } = require('./random_utils');
+
+/**
+ * 音乐适配方式（config.musicFit.mode）：
+ *   video  画面对齐音乐：按音乐时长选片，差值通过变速或裁剪片段消除（原有方式）
+ *   music  音乐对齐画面：片段总时长决定成片长度，音乐从指定位置开始截取同样长度，末尾淡出
+ */
+
+const MUSIC_FIT_MODES = ['video', 'music'];
+
+/**
+ * music 模式下成片时长范围：不超过音乐从起始位置起的可用长度
+ * @param {number} trackDuration - 音乐总时长
+ * @param {object} cfg - config.musicFit
+ * @returns {{ min: number, max: number }|null} 音乐过短时为 null
+ */
+function getMusicVideoRange(trackDuration, cfg = {}) {
+  const fixedOffset = Number.isFinite(cfg.offset) ? Math.max(0, cfg.offset) : 0;
+  const available = trackDuration - fixedOffset;
+  const min = Number.isFinite(cfg.minDuration) ? cfg.minDuration : 15;
+  const max = Math.min(Number.isFinite(cfg.maxDuration) ? cfg.maxDuration : available, available);
+  return max >= min ? { min, max } : null;
+}
+
+/**
+ * 音乐起始位置：数字为固定位置（音乐余量不足时提前），random 为在余量内随机
+ * @param {number} trackDuration
+ * @param {number} videoDuration
+ * @param {object} cfg - config.musicFit
+ * @returns {number}
+ */
+function pickMusicOffset(trackDuration, videoDuration, cfg = {}) {
+  const room = Math.max(0, trackDuration - videoDuration);
+  if (cfg.offset === 'random') return +(random() * room).toFixed(3);
+  return +Math.min(Number.isFinite(cfg.offset) ? Math.max(0, cfg.offset) : 0, room).toFixed(3);
+}
+
+/**
+ * 背景音乐截取滤镜（不含输入输出标签）
+ * @param {number} duration - 成片时长
+ * @param {{ offset: number, fadeIn?: number, fadeOut?: number }|null} music - music 模式的截取参数，为空时从头截取
+ * @returns {string}
+ */
+function buildMusicTrimFilter(duration, music) {
+  if (!music) return `atrim=duration=${duration.toFixed(3)},asetpts=PTS-STARTPTS`;
+  const parts = [`atrim=start=${(music.offset || 0).toFixed(3)}:duration=${duration.toFixed(3)}`, 'asetpts=PTS-STARTPTS'];
+  const fadeIn = Math.min(music.fadeIn || 0, duration / 2);
+  const fadeOut = Math.min(music.fadeOut || 0, duration / 2);
+  if (fadeIn > 0) parts.push(`afade=t=in:st=0:d=${fadeIn.toFixed(3)}`);
+  if (fadeOut > 0) parts.push(`afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+  return parts.join(',');
+}
+
+module.exports = {
+  MUSIC_FIT_MODES,
+  getMusicVideoRange,
+  pickMusicOffset,
+  buildMusicTrimFilter,
+};
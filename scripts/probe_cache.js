@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const yaml = require('js-yaml');
+
+/**
+ * 媒体信息探测缓存：ffprobe 结果按文件路径持久化到磁盘，文件大小或修改时间变化时重新探测。
+ * 同一进程内同时发起的 ffprobe 数量受 probeLimit 限制。
+ * 加载时清除一次文件已不存在的条目（渲染过程中探测的临时文件），缓存不会随批次无限增长。
+ */
+
+const config = yaml.load(fs.readFileSync(path.join(__dirname, '../config.yaml'), 'utf8')) || {};
+const CACHE_PATH = path.join(__dirname, '../', config.outputDir || 'output', 'probe_cache.json');
+let probeLimit = Math.max(2, Math.floor(os.cpus().length / 2));
+
+let cache = null;       // { [absPath]: { size, mtimeMs, info } }
+const updated = new Map(); // 本进程新探测的条目，保存时合并到磁盘上的最新内容
+const removed = new Set(); // 加载时发现文件已删除的条目，保存时从磁盘内容中去掉
+const pending = new Map(); // 正在探测的文件，避免重复探测
+let saveTimer = null;
+
+function loadCache() {
+  if (cache) return cache;
+  cache = {};
+  try {
+    if (fs.existsSync(CACHE_PATH)) cache = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8')) || {};
+  } catch (e) {
+    console.warn('读取探测缓存失败，将重新探测:', e.message);
+    cache = {};
+  }
+  for (const key of Object.keys(cache)) {
+    if (!fs.existsSync(key)) {
+      delete cache[key];
+      removed.add(key);
+    }
+  }
+  return cache;
+}
+
+// 写回磁盘：先读取磁盘上的最新内容再合并，多个脚本同时运行时不会互相覆盖；同时去掉加载时清除的条目
+function saveCache() {
+  if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+  if (updated.size === 0 && removed.size === 0) return;
+  try {
+    let disk = {};
+    if (fs.existsSync(CACHE_PATH)) {
+      try { disk = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8')) || {}; } catch (_) { disk = {}; }
+    }
+    for (const key of removed) {
+      if (!updated.has(key)) delete disk[key];
+    }
+    for (const [key, entry] of updated) disk[key] = entry;
+    fs.ensureDirSync(path.dirname(CACHE_PATH));
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(disk));
+    updated.clear();
+    removed.clear();
+  } catch (e) {
+    console.warn('写入探测缓存失败:', e.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveCache, 2000);
+  saveTimer.unref();
+}
+process.on('exit', saveCache);
+
+// 并发限制
+let active = 0;
+const waiting = [];
+async function withProbeSlot(fn) {
+  if (active >= probeLimit) await new Promise(resolve => waiting.push(resolve));
+  active++;
+  try {
+    return await fn();
+  } finally {
+    active--;
+    if (waiting.length > 0) waiting.shift()();
+  }
+}
+
+function parseRational(str) {
+  if (!str) return undefined;
+  const parts = String(str).split('/');
+  const v = parts.length === 2 ? parseFloat(parts[0]) / parseFloat(parts[1]) : parseFloat(str);
+  return Number.isFinite(v) && v > 0 ? v : undefined;
+}
+
+function runFfprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_streams', '-show_format', filePath];
+    const p = spawn('ffprobe', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let out = '', err = '';
+    p.stdout.on('data', d => { out += d.toString(); });
+    p.stderr.on('data', d => { err += d.toString(); });
+    p.on('close', code => {
+      if (code !== 0) return reject(new Error(`ffprobe 失败 (code=${code}): ${err.trim()}`));
+      try { resolve(JSON.parse(out)); } catch (e) { reject(e); }
+    });
+    p.on('error', reject);
+  });
+}
+
+// 从 ffprobe 输出中提取需要缓存的字段
+function summarizeProbe(meta) {
+  const format = meta.format || {};
+  const streams = meta.streams || [];
+  const v = streams.find(s => s.codec_type === 'video');
+  const a = streams.find(s => s.codec_type === 'audio');
+  const num = x => (x !== undefined && x !== null && x !== 'N/A' && Number.isFinite(Number(x)) ? Number(x) : undefined);
+  return {
+    duration: num(format.duration) ?? num(v && v.duration) ?? num(a && a.duration),
+    size: num(format.size),
+    bitRate: num(format.bit_rate),
+    formatName: format.format_name,
+    video: v ? {
+      codec: v.codec_name,
+      width: v.width || 0,
+      height: v.height || 0,
+      fps: parseRational(v.avg_frame_rate) || parseRational(v.r_frame_rate),
+      rFrameRate: parseRational(v.r_frame_rate),
+      pixFmt: v.pix_fmt,
+      bitRate: num(v.bit_rate),
+      displayAspectRatio: v.display_aspect_ratio
+    } : null,
+    audio: a ? {
+      codec: a.codec_name,
+      sampleRate: num(a.sample_rate),
+      channels: a.channels,
+      bitRate: num(a.bit_rate)
+    } : null
+  };
+}
+
+/**
+ * 获取媒体信息（带缓存）
+ * @param {string} filePath
+ * @returns {Promise<object>} { duration, size, bitRate, formatName, video, audio }
+ */
+async function probeMedia(filePath) {
+  const key = path.resolve(filePath);
+  const stat = await fs.stat(key);
+  const entry = loadCache()[key];
+  if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) return entry.info;
+  if (pending.has(key)) return pending.get(key);
+  const task = withProbeSlot(() => runFfprobe(key))
+    .then(meta => {
+      const info = summarizeProbe(meta);
+      const newEntry = { size: stat.size, mtimeMs: stat.mtimeMs, info };
+      cache[key] = newEntry;
+      updated.set(key, newEntry);
+      scheduleSave();
+      return info;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, task);
+  return task;
+}
+
+/**
+ * 批量探测（有并发上限），失败的文件结果为 null
+ * @param {Array<string>} files
+ * @returns {Promise<Array<object|null>>}
+ */
+async function probeMany(files) {
+  return Promise.all(files.map(f => probeMedia(f).catch(() => null)));
+}
+
+// 时长（秒），探测失败时为 NaN
+async function getMediaDuration(filePath) {
+  try {
+    const info = await probeMedia(filePath);
+    return info.duration ?? NaN;
+  } catch (_) {
+    return NaN;
+  }
+}
+
+function setProbeConcurrency(n) {
+  if (Number.isFinite(n) && n > 0) probeLimit = Math.floor(n);
+}
+
+module.exports = {
+  probeMedia,
+  probeMany,
+  getMediaDuration,
+  setProbeConcurrency,
+  saveProbeCache: saveCache,
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const { runFfmpegLogged, ffprobeJson } = require('./video_utils');
+
+/**
+ * 成片质量检查：ffprobe 检查音视频流与时长，再用一遍解码同时运行 blackdetect / freezedetect / silencedetect，
+ * 检出黑屏、画面冻结、静音或时长与音频相差过大的成片。
+ */
+
+// 读取检查阈值
+function getQualityThresholds(cfg = {}) {
+  const num = (v, d) => (Number.isFinite(v) ? v : d);
+  return {
+    durationTolerance: num(cfg.durationTolerance, 0.5), // 成片与音频时长允许的差值（秒）
+    blackMinDuration: num(cfg.blackMinDuration, 0.5), // 短于此时长的黑场不计（转场、淡入）
+    blackPixelThreshold: num(cfg.blackPixelThreshold, 0.1),
+    maxBlack: num(cfg.maxBlack, 1), // 黑场总时长上限（秒）
+    freezeNoise: cfg.freezeNoise || '-60dB',
+    maxFreeze: num(cfg.maxFreeze, 2), // 单段冻结时长上限（秒）
+    silenceNoise: cfg.silenceNoise || '-50dB',
+    silenceMinDuration: num(cfg.silenceMinDuration, 1),
+    maxSilenceRatio: num(cfg.maxSilenceRatio, 0.5) // 静音时长占成片时长的比例上限
+  };
+}
+
+/**
+ * 解析检测滤镜输出
+ * @param {string} stderr
+ * @param {number} duration - 成片时长，未闭合的冻结/静音段以此为结束
+ * @returns {{ black: number, freezes: Array<number>, silence: number }}
+ */
+function parseDetectOutput(stderr, duration) {
+  let black = 0;
+  for (const m of stderr.matchAll(/black_duration:\s*([\d.]+)/g)) black += parseFloat(m[1]);
+  const freezes = [];
+  let freezeStart = null;
+  for (const line of stderr.split(/\r?\n/)) {
+    const fm = line.match(/freeze_start:\s*([\d.]+)/);
+    if (fm) freezeStart = parseFloat(fm[1]);
+    const fd = line.match(/freeze_duration:\s*([\d.]+)/);
+    if (fd) { freezes.push(parseFloat(fd[1])); freezeStart = null; }
+  }
+  if (freezeStart !== null) freezes.push(Math.max(0, duration - freezeStart));
+  let silence = 0;
+  let silenceStart = null;
+  for (const line of stderr.split(/\r?\n/)) {
+    const ss = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (ss) silenceStart = Math.max(0, parseFloat(ss[1]));
+    const sd = line.match(/silence_duration:\s*([\d.]+)/);
+    if (sd) { silence += parseFloat(sd[1]); silenceStart = null; }
+  }
+  if (silenceStart !== null) silence += Math.max(0, duration - silenceStart);
+  return { black: +black.toFixed(3), freezes: freezes.map(f => +f.toFixed(3)), silence: +silence.toFixed(3) };
+}
+
+/**
+ * 检查成片质量
+ * @param {string} videoPath
+ * @param {number} expectedDuration - 期望时长（音频时长），无效时不检查时长
+ * @param {object} cfg - config.qualityGate
+ * @returns {Promise<{ ok: boolean, reasons: Array<string>, stats: object }>}
+ */
+async function checkVideoQuality(videoPath, expectedDuration, cfg = {}) {
+  const t = getQualityThresholds(cfg);
+  const reasons = [];
+  const info = await ffprobeJson(videoPath);
+  const streams = info.streams || [];
+  const duration = parseFloat(info.format && info.format.duration) || 0;
+  const hasVideo = streams.some(s => s.codec_type === 'video');
+  const hasAudio = streams.some(s => s.codec_type === 'audio');
+  if (!hasVideo) reasons.push('没有视频流');
+  if (!hasAudio) reasons.push('没有音频流');
+  if (Number.isFinite(expectedDuration) && expectedDuration > 0 && Math.abs(duration - expectedDuration) > t.durationTolerance) {
+    reasons.push(`时长 ${duration.toFixed(2)}s 与音频 ${expectedDuration.toFixed(2)}s 相差超过 ${t.durationTolerance}s`);
+  }
+  const stats = { duration: +duration.toFixed(3) };
+  if (hasVideo) {
+    const args = ['-hide_banner', '-nostdin', '-i', videoPath,
+      '-vf', `blackdetect=d=${t.blackMinDuration}:pix_th=${t.blackPixelThreshold},freezedetect=n=${t.freezeNoise}:d=${t.maxFreeze}`];
+    if (hasAudio) args.push('-af', `silencedetect=n=${t.silenceNoise}:d=${t.silenceMinDuration}`);
+    args.push('-f', 'null', '-');
+    const { stderr } = await runFfmpegLogged(args, `quality_gate_${path.parse(videoPath).name}`, Math.max(60, Math.ceil(duration * 2)));
+    Object.assign(stats, parseDetectOutput(stderr, duration));
+    if (stats.black > t.maxBlack) reasons.push(`黑场共 ${stats.black}s，超过 ${t.maxBlack}s`);
+    // freezedetect 只报告不短于 maxFreeze 的冻结段
+    if (stats.freezes.length > 0) reasons.push(`画面冻结 ${Math.max(...stats.freezes)}s，超过 ${t.maxFreeze}s`);
+    if (hasAudio && duration > 0 && stats.silence / duration > t.maxSilenceRatio) {
+      reasons.push(`静音 ${stats.silence}s，占成片 ${(stats.silence / duration * 100).toFixed(0)}%`);
+    }
+  }
+  return { ok: reasons.length === 0, reasons, stats };
+}
+
+module.exports = {
+  getQualityThresholds,
+  parseDetectOutput,
+  checkVideoQuality,
+};
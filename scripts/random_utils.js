@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * 可复现的随机数：选片、开头/结尾片段、音频、转场、文案、logo 位置等随机选择统一使用这里的伪随机数（mulberry32）。
+ * 种子写入合成记录与渲染计划，使用相同的输入和种子重新运行可以得到相同的渲染计划。
+ * 未设置种子时在第一次使用前随机生成一个。
+ */
+
+let currentSeed = null;
+let state = 0;
+
+// 字符串种子转为 32 位整数（FNV-1a）
+function hashSeed(seed) {
+  let h = 2166136261;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 设置种子，重置随机序列
+ * @param {string|number} seed
+ * @returns {string} 规范化后的种子
+ */
+function setSeed(seed) {
+  currentSeed = String(seed);
+  state = hashSeed(currentSeed);
+  return currentSeed;
+}
+
+// 生成一个新种子（8 位十六进制）
+function createSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function getSeed() {
+  if (currentSeed === null) setSeed(createSeed());
+  return currentSeed;
+}
+
+// [0, 1) 之间的伪随机数，替代 Math.random()
+function random() {
+  if (currentSeed === null) setSeed(createSeed());
+  state = (state + 0x6D2B79F5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * 当前随机序列位置（生成器内部状态），与种子一起保存后可以从同一位置继续
+ * @returns {number}
+ */
+function getState() {
+  getSeed();
+  return state;
+}
+
+// 恢复 getState() 保存的序列位置
+function setState(value) {
+  getSeed();
+  state = value >>> 0;
+}
+
+// [0, n) 之间的随机整数
+function randomInt(n) {
+  return Math.floor(random() * n);
+}
+
+/**
+ * 读取命令行 --seed <值>，没有时返回 null
+ * @param {Array<string>} argv
+ * @returns {string|null}
+ */
+function parseSeedArg(argv) {
+  const idx = argv.indexOf('--seed');
+  return idx >= 0 && argv[idx + 1] !== undefined ? String(argv[idx + 1]) : null;
+}
+
+module.exports = {
+  setSeed,
+  createSeed,
+  getSeed,
+  getState,
+  setState,
+  random,
+  randomInt,
+  parseSeedArg,
+};
@@ -1,7 +1,7 @@
 const yaml = require('js-yaml');
 const fs = require('fs-extra');
 const path = require('path');
-const { concatClipsWithAudio } = require('./video_utils');
+const { renderPlannedVideo } = require('./video_concat');
 
 // 读取配置
 const config = yaml.load(fs.readFileSync(path.join(__dirname, '../config.yaml'), 'utf8'));
@@ -53,15 +53,30 @@ async function recreateVideoFromJson(videoFileName) {
   console.log(`  音频目录: ${videoData.musicDir}`);
   console.log(`  音频文件: ${videoData.audio}`);
   console.log(`  片段列表: ${JSON.stringify(videoData.clips, null, 2)}`);
+  // 结尾片段位于 clips 末尾，另有 endDir/endClips 记录其目录
+  const endClips = Array.isArray(videoData.endClips) ? videoData.endClips : [];
+  const endStart = videoData.clips.length - endClips.length;
+  // 开头片段位于 clips 开头；旧记录没有 openClips 时按 open_ 前缀判断
+  let openCount = Array.isArray(videoData.openClips) ? videoData.openClips.length : 0;
+  if (!Array.isArray(videoData.openClips)) {
+    while (openCount < endStart && videoData.clips[openCount].startsWith('open_')) openCount++;
+  }
+  if (endClips.length > 0) {
+    console.log(`  结尾片段目录: ${videoData.endDir}`);
+    console.log(`  结尾片段: ${JSON.stringify(endClips)}`);
+  }
   
   // 构建完整的片段路径
-  const clipPaths = videoData.clips.map(clipId => {
+  const clipPaths = videoData.clips.map((clipId, i) => {
     // 判断片段来自哪个目录，根据ID的格式判断
     // 如果ID包含路径分隔符，则认为是完整路径
-    if (clipId.includes('/') || clipId.includes('\\')) {
-      // 这种情况应该不会出现，但为了安全起见还是处理一下
+    if (endClips.length > 0 && i >= endStart && videoData.endDir) {
+      // 结尾片段
+      return path.join(videoData.endDir, `${clipId}.mp4`);
+    } else if (clipId.includes('/') || clipId.includes('\\')) {
+      // 类别子文件夹中的片段（子文件夹/文件名）
       return path.join(videoData.clipsDir, `${clipId}.mp4`);
-    } else if (clipId.startsWith('open_')) {
+    } else if (i < openCount) {
       // 开头片段
       return path.join(videoData.openDir, `${clipId}.mp4`);
     } else {
@@ -86,14 +101,42 @@ async function recreateVideoFromJson(videoFileName) {
   }
   
   // 生成输出文件路径
-  const outputPath = path.join(videoDir, `recreated_${videoFileName}`);
+  const outputName = `recreated_${videoFileName}`;
+  const outputPath = path.join(videoDir, outputName);
   
   console.log(`开始重新生成视频...`);
   console.log(`输出路径: ${outputPath}`);
   
+  // 按合成记录还原渲染计划：裁剪、变速、音乐截取、转场、文案与 logo 与原视频一致
+  // （旧记录没有这些参数时按原速、不裁剪合成）
+  const planItem = {
+    output: outputName,
+    audio: audioPath,
+    openClips: clipPaths.slice(0, openCount),
+    clips: clipPaths.slice(openCount, endStart),
+    endClips: clipPaths.slice(endStart),
+    timing: videoData.timing || null,
+    trims: videoData.trims || null,
+    cutLastTo: videoData.cutLastTo || null,
+    clipRates: videoData.clipRates || null,
+    music: videoData.music || null,
+    videoRates: videoData.videoRates || [1.0],
+    transition: videoData.transition || null,
+    texts: videoData.texts || [],
+    logo: videoData.logo && videoData.logo.path ? { path: videoData.logo.path, position: videoData.logo.position } : null,
+    clipAudio: !!videoData.clipAudio
+  };
+  if (videoData.logo && !videoData.logo.path) console.log(`合成记录中没有 logo 路径，跳过 logo: ${videoData.logo.file}`);
+  
   try {
-    // 重新生成视频
-    await concatClipsWithAudio(clipPaths, audioPath, outputPath, videoDir);
+    // 重新生成视频（与合成时相同的渲染流程）：不写批次日志、不做质量检查、不更新序号，
+    // 画幅版本与封面按合成记录输出（旧记录的画幅版本只有名称时跳过）
+    const aspectVariants = (videoData.aspectVariants || []).filter(v => v && typeof v === 'object' && v.ratio);
+    await renderPlannedVideo(planItem, videoDir, '还原视频', () => { }, null, {
+      recreate: true,
+      aspectVariants,
+      cover: videoData.cover || null
+    });
     console.log(`视频重新生成成功: ${outputPath}`);
   } catch (error) {
     console.error(`视频重新生成失败: ${error.message}`);
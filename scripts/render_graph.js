@@ -0,0 +1,104 @@
+const { buildInputNormalizeFilter, buildXfadeChain } = require('./transition_utils');
+const { buildLogoOverlay } = require('./logo_utils');
+const { buildClipAudioMix } = require('./clip_audio');
+const { buildMusicTrimFilter } = require('./music_fit');
+
+/**
+ * 单次合成的 filter_complex 构建：拼接（concat 或 xfade）、逐片段裁剪、变速、文案、logo、音频截断
+ * 全部放在一个滤镜图中，由一次 ffmpeg 调用直接输出成片。
+ *
+ * 输入顺序约定：0..n-1 为片段，n 为音频，n+1 为 logo 图片（可选）。
+ */
+
+/**
+ * @param {object} opt
+ * @param {Array<{ duration: number, trim?: number, rate?: number }>} opt.clips - 片段原始时长、裁剪长度（trim 为空表示不裁剪）
+ *   与片段变速倍率（见 speedFit，为空表示不变速）
+ * @param {{ width: number, height: number, fps: number }} opt.target - 统一后的画面参数
+ * @param {{ xfade: string, duration: number }|null} opt.transition - 转场，为空时使用 concat 硬切
+ * @param {Array<string>} opt.videoFilters - 拼接后对整段画面应用的滤镜（变速、文案等）
+ * @param {{ position: string, cfg: object }|null} opt.logo - logo 叠加参数
+ * @param {number} opt.audioDuration - 成片时长，音频截断到该长度
+ * @param {{ offset: number, fadeIn?: number, fadeOut?: number }|null} [opt.music] - 音乐对齐画面时的截取起点与淡入淡出
+ * @param {{ hasAudio: Array<boolean>, rate: number, cfg: object }|null} [opt.clipAudio] - 保留片段原声：
+ *   各片段是否有音轨（无音轨的片段补静音）、整体变速倍率与 config.clipAudio
+ * @param {string} [opt.audioPost] - 对最终音频追加的滤镜（如响度校正）
+ * @returns {string} 输出标签为 [vout]、[aout]
+ */
+function buildSinglePassGraph(opt) {
+  const { clips, target, transition, videoFilters = [], logo } = opt;
+  const n = clips.length;
+  const parts = clips.map((c, i) => buildInputNormalizeFilter(i, target, c.trim, c.rate));
+  const durations = clips.map(getOutputDuration);
+  if (transition) {
+    parts.push(...buildXfadeChain(durations, transition.xfade, transition.duration, 'vcat'));
+  } else {
+    parts.push(`${clips.map((_, i) => `[v${i}]`).join('')}concat=n=${n}:v=1:a=0[vcat]`);
+  }
+  if (logo) {
+    parts.push(`[vcat]${videoFilters.length ? videoFilters.join(',') : 'null'}[vpost]`);
+    parts.push(...buildLogoOverlay('vpost', n + 1, 'vout', logo.position, logo.cfg));
+  } else {
+    parts.push(`[vcat]${videoFilters.concat('format=yuv420p').join(',')}[vout]`);
+  }
+  if (opt.audioPost) {
+    parts.push(buildSinglePassAudioGraph(opt, 'apre'), `[apre]${opt.audioPost}[aout]`);
+  } else {
+    parts.push(buildSinglePassAudioGraph(opt, 'aout'));
+  }
+  return parts.join(';');
+}
+
+/**
+ * 单次合成中的音频部分：背景音乐截取到成片时长，保留原声时与片段原声混音。
+ * 输入约定同 buildSinglePassGraph，可单独用于响度测量。
+ * @param {object} opt - 同 buildSinglePassGraph
+ * @param {string} outLabel
+ * @returns {string}
+ */
+function buildSinglePassAudioGraph(opt, outLabel) {
+  const { clips, transition, audioDuration, clipAudio } = opt;
+  const n = clips.length;
+  const music = `[${n}:a]${buildMusicTrimFilter(audioDuration, opt.music)}`;
+  if (!clipAudio) return `${music}[${outLabel}]`;
+  const durations = clips.map(getOutputDuration);
+  return [
+    `${music}[amusic]`,
+    ...buildClipAudioChain(durations, clips.map(c => c.rate || 1), clipAudio, transition, 'aclip'),
+    ...buildClipAudioMix('aclip', 'amusic', outLabel, clipAudio.cfg)
+  ].join(';');
+}
+
+// 片段在成片中的时长：裁剪后再按片段倍率变速
+function getOutputDuration(c) {
+  const d = c.trim > 0 ? Math.min(c.trim, c.duration) : c.duration;
+  return c.rate > 0 ? d / c.rate : d;
+}
+
+// 片段原声：逐片段按片段倍率变速、补齐/截断到画面时长后拼接（有转场时用 acrossfade 与画面重叠对齐），再按整体倍率变速
+function buildClipAudioChain(durations, rates, clipAudio, transition, outLabel) {
+  const parts = durations.map((d, i) => (clipAudio.hasAudio[i]
+    ? `[${i}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,${rates[i] !== 1 ? `atempo=${rates[i].toFixed(6)},` : ''}apad,atrim=duration=${d.toFixed(3)},asetpts=PTS-STARTPTS[ca${i}]`
+    : `anullsrc=r=44100:cl=stereo,atrim=duration=${d.toFixed(3)},aformat=sample_fmts=fltp[ca${i}]`));
+  let last = 'ca0';
+  if (durations.length > 1) {
+    if (transition) {
+      for (let i = 1; i < durations.length; i++) {
+        const label = `cx${i}`;
+        parts.push(`[${last}][ca${i}]acrossfade=d=${transition.duration}[${label}]`);
+        last = label;
+      }
+    } else {
+      parts.push(`${durations.map((_, i) => `[ca${i}]`).join('')}concat=n=${durations.length}:v=0:a=1[cacat]`);
+      last = 'cacat';
+    }
+  }
+  const rate = clipAudio.rate || 1;
+  parts.push(`[${last}]${rate !== 1 ? `atempo=${rate.toFixed(6)}` : 'anull'}[${outLabel}]`);
+  return parts;
+}
+
+module.exports = {
+  buildSinglePassGraph,
+  buildSinglePassAudioGraph,
+};
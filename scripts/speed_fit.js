@@ -0,0 +1,87 @@
+/**
+ * 逐片段变速：把片段总时长与音频时长的差值分摊到各个正文片段上，替代对整段画面统一 setpts。
+ *
+ * 策略（config.speedFit.strategy）：
+ *   global   整段统一变速（原有方式，受 minVideoRate / maxVideoRate 限制）
+ *   perClip  所有正文片段共同分摊差值
+ *   longest  只调整最长的若干个片段，从最长的一个开始逐个加入，直到能分摊差值为止
+ *
+ * 每个片段有各自的速率上下限：在 clipMinRate..clipMaxRate 之内，且变速后的时长不超出 minDuration..maxDuration。
+ * 某个片段先触及上下限时固定在上下限，其余差值由剩下的片段继续分摊。
+ */
+
+const SPEED_FIT_STRATEGIES = ['global', 'perClip', 'longest'];
+
+// 片段 i 在分摊方向上能达到的速率极限
+function rateLimit(d, need, opt) {
+  if (need > 0) {
+    const byDuration = opt.minDuration > 0 ? d / opt.minDuration : Infinity;
+    return Math.min(opt.maxRate, byDuration);
+  }
+  const byDuration = opt.maxDuration > 0 ? d / opt.maxDuration : 0;
+  return Math.max(opt.minRate, byDuration);
+}
+
+// 在给定片段子集上分摊：子集内未触及上限的片段使用同一速率
+function solveSubset(durations, subset, need, opt) {
+  const rates = durations.map(() => 1);
+  const limits = new Map(subset.map(i => [i, rateLimit(durations[i], need, opt)]));
+  // 朝分摊方向没有余量的片段不参与
+  let free = subset.filter(i => (need > 0 ? limits.get(i) > 1 : limits.get(i) < 1));
+  let fixedGain = 0;
+  while (free.length > 0) {
+    const total = free.reduce((a, i) => a + durations[i], 0);
+    const rem = need - fixedGain;
+    if (total - rem <= 0) return null;
+    const r = total / (total - rem);
+    const violators = free.filter(i => (need > 0 ? r > limits.get(i) : r < limits.get(i)));
+    if (violators.length === 0) {
+      for (const i of free) rates[i] = +r.toFixed(6);
+      return rates;
+    }
+    for (const i of violators) {
+      rates[i] = +limits.get(i).toFixed(6);
+      fixedGain += durations[i] * (1 - 1 / rates[i]);
+    }
+    free = free.filter(i => !violators.includes(i));
+  }
+  return null;
+}
+
+/**
+ * 计算各片段速率，使 Σ d_i / r_i = Σ d_i - diff
+ * @param {Array<number>} durations - 正文片段时长（裁剪后）
+ * @param {number} diff - 片段总时长减去需要铺满的时长：正数需要加速，负数需要减速
+ * @param {object} opt
+ * @param {string} [opt.strategy='perClip'] - perClip | longest
+ * @param {number} [opt.minRate=0.85]
+ * @param {number} [opt.maxRate=1.2]
+ * @param {number} [opt.minDuration] - 变速后片段最短时长
+ * @param {number} [opt.maxDuration] - 变速后片段最长时长
+ * @param {number} [opt.longestCount] - longest 策略最多调整的片段数，默认不限
+ * @returns {Array<number>|null} 各片段速率（大于 1 为加速），无法在上下限内分摊时为 null
+ */
+function distributeClipRates(durations, diff, opt = {}) {
+  if (durations.length === 0) return null;
+  if (Math.abs(diff) < 1e-6) return durations.map(() => 1);
+  const o = {
+    minRate: Number.isFinite(opt.minRate) ? opt.minRate : 0.85,
+    maxRate: Number.isFinite(opt.maxRate) ? opt.maxRate : 1.2,
+    minDuration: opt.minDuration || 0,
+    maxDuration: opt.maxDuration || 0
+  };
+  const all = durations.map((_, i) => i);
+  if (opt.strategy !== 'longest') return solveSubset(durations, all, diff, o);
+  const byLength = all.slice().sort((a, b) => durations[b] - durations[a]);
+  const maxCount = opt.longestCount > 0 ? Math.min(opt.longestCount, byLength.length) : byLength.length;
+  for (let k = 1; k <= maxCount; k++) {
+    const rates = solveSubset(durations, byLength.slice(0, k), diff, o);
+    if (rates) return rates;
+  }
+  return null;
+}
+
+module.exports = {
+  SPEED_FIT_STRATEGIES,
+  distributeClipRates,
+};
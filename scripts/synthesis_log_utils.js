@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 在指定目录及其子目录中查找所有 synthesis_log.json 文件
+ * @param {string} rootDir - 根目录（通常为 outputDir）
+ * @returns {Array<string>} 合成记录文件路径列表
+ */
+function findSynthesisLogFiles(rootDir) {
+  const result = [];
+  function walk(dir) {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        walk(full);
+      } else if (ent.isFile() && ent.name === 'synthesis_log.json') {
+        result.push(full);
+      }
+    }
+  }
+  if (fs.existsSync(rootDir)) walk(rootDir);
+  return result;
+}
+
+/**
+ * 读取目录下全部合成记录，展开为逐个视频的记录列表
+ * @param {string} rootDir - 根目录（通常为 outputDir）
+ * @returns {Array<object>} [{ videoName, logPath, clips, audio, ... }]
+ */
+function loadSynthesisRecords(rootDir) {
+  const records = [];
+  for (const logPath of findSynthesisLogFiles(rootDir)) {
+    let logData;
+    try {
+      logData = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+    } catch (e) {
+      // 忽略无法解析的JSON文件
+      continue;
+    }
+    if (!logData || typeof logData !== 'object') continue;
+    for (const [videoName, rec] of Object.entries(logData)) {
+      if (!rec || typeof rec !== 'object') continue;
+      records.push({ videoName, logPath, ...rec });
+    }
+  }
+  return records;
+}
+
+/**
+ * 判断记录是否使用指定的片段目录（没有记录 clipsDir 的旧记录视为相同）
+ * @param {object} rec
+ * @param {string} [clipsDir]
+ * @returns {boolean}
+ */
+function isSameClipsDir(rec, clipsDir) {
+  if (!clipsDir || !rec.clipsDir) return true;
+  return path.resolve(rec.clipsDir) === path.resolve(clipsDir);
+}
+
+/**
+ * 统计合成记录中每个片段的使用次数（键为片段文件名，不含扩展名）
+ * 多个产品共用 outputDir 时，不同片段目录中的同名片段互不影响：传入 clipsDir 时只统计该目录的记录
+ * @param {Array<object>} records - loadSynthesisRecords 的返回值
+ * @param {string} [clipsDir] - 片段目录，为空时统计全部记录
+ * @returns {Map<string, number>}
+ */
+function countClipUsage(records, clipsDir) {
+  const usage = new Map();
+  for (const rec of records) {
+    if (!Array.isArray(rec.clips) || !isSameClipsDir(rec, clipsDir)) continue;
+    for (const id of rec.clips) {
+      usage.set(id, (usage.get(id) || 0) + 1);
+    }
+  }
+  return usage;
+}
+
+module.exports = {
+  findSynthesisLogFiles,
+  loadSynthesisRecords,
+  isSameClipsDir,
+  countClipUsage,
+};
@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { randomInt } = require('./random_utils');
+
+/**
+ * 文案叠加：读取文案池（yaml 列表或 csv/txt 每行一条），随机挑选若干条，
+ * 生成 ffmpeg drawtext 滤镜。文字内容通过 textfile 传入，避免中文和特殊字符的转义问题。
+ */
+
+const POOL_FILE_NAMES = ['text_pool.yaml', 'text_pool.yml', 'text_pool.csv', 'text_pool.txt'];
+// csv 表头的第一列名称，读取时跳过
+const CSV_HEADERS = ['text', '文案'];
+
+// 取 csv 一行的第一列（支持双引号包裹、"" 转义）
+function firstCsvColumn(line) {
+  const s = line.trim();
+  if (!s.startsWith('"')) return s.split(',')[0].trim();
+  let out = '';
+  for (let i = 1; i < s.length; i++) {
+    if (s[i] === '"') {
+      if (s[i + 1] === '"') { out += '"'; i++; continue; }
+      break;
+    }
+    out += s[i];
+  }
+  return out.trim();
+}
+
+/**
+ * 读取文案池
+ * @param {string} filePath - yaml（字符串数组或 { texts: [...] }）或 csv/txt（每行一条，csv 取第一列，表头 text/文案 会被跳过）
+ * @returns {Array<string>}
+ */
+function loadTextPool(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  const ext = path.extname(filePath).toLowerCase();
+  let list;
+  if (ext === '.yaml' || ext === '.yml') {
+    const data = yaml.load(content);
+    list = Array.isArray(data) ? data : (data && Array.isArray(data.texts) ? data.texts : []);
+  } else {
+    list = content.split(/\r?\n/)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .map(line => (ext === '.csv' ? firstCsvColumn(line) : line.trim()));
+    if (ext === '.csv' && CSV_HEADERS.includes(String(list[0]).toLowerCase())) list.shift();
+  }
+  return list.map(x => String(x == null ? '' : x).trim()).filter(Boolean);
+}
+
+/**
+ * 查找文案池文件：优先使用配置的路径，否则在目录中按默认文件名查找
+ * @returns {string|null}
+ */
+function findTextPoolFile(configuredPath, fallbackDir) {
+  if (configuredPath) return fs.existsSync(configuredPath) ? configuredPath : null;
+  for (const name of POOL_FILE_NAMES) {
+    const p = path.join(fallbackDir, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+// 从文案池中随机挑选 count 条不重复的文案
+function pickTexts(pool, count) {
+  const arr = pool.slice();
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr.slice(0, Math.max(0, count));
+}
+
+/**
+ * 计算每条文案的显示时间段，超出视频时长的文案会被丢弃
+ * @param {Array<string>} texts
+ * @param {{ start?: number, duration?: number, gap?: number }} timing
+ * @param {number} videoDuration
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+function scheduleTexts(texts, timing, videoDuration) {
+  const start = Number.isFinite(timing.start) ? timing.start : 0.5;
+  const duration = Number.isFinite(timing.duration) ? timing.duration : 3;
+  const gap = Number.isFinite(timing.gap) ? timing.gap : 0.5;
+  const result = [];
+  texts.forEach((text, i) => {
+    const s = start + i * (duration + gap);
+    if (s >= videoDuration) return;
+    result.push({ text, start: +s.toFixed(3), end: +Math.min(s + duration, videoDuration).toFixed(3) });
+  });
+  return result;
+}
+
+// 滤镜参数中的路径转义：统一正斜杠并转义冒号（Windows 盘符 C: 需写成 C\:），结果需放在单引号内使用
+function escapeFilterPath(p) {
+  return String(p).replace(/\\/g, '/').replace(/:/g, '\\:');
+}
+
+/**
+ * 生成单条 drawtext 滤镜
+ * @param {string} textFile - 文案文本文件路径
+ * @param {{ start: number, end: number }|null} timing - 为空时始终显示（如封面标题）
+ * @param {object} style - config.textOverlay 中的样式字段
+ * @returns {string}
+ */
+function buildDrawtextFilter(textFile, timing, style = {}) {
+  const margin = Number.isFinite(style.margin) ? style.margin : 200;
+  let x = style.x || '(w-text_w)/2';
+  let y = style.y;
+  if (!y) {
+    if (style.position === 'top') y = String(margin);
+    else if (style.position === 'center') y = '(h-text_h)/2';
+    else y = `h-text_h-${margin}`;
+  }
+  const opts = [
+    `textfile='${escapeFilterPath(textFile)}'`,
+    'expansion=none',
+    `fontsize=${style.fontSize || 64}`,
+    `fontcolor=${style.fontColor || 'white'}`,
+    `borderw=${Number.isFinite(style.borderWidth) ? style.borderWidth : 4}`,
+    `bordercolor=${style.borderColor || 'black'}`,
+    `x=${x}`,
+    `y=${y}`
+  ];
+  if (timing) opts.push(`enable='between(t\\,${timing.start}\\,${timing.end})'`);
+  if (style.fontFile) opts.unshift(`fontfile='${escapeFilterPath(style.fontFile)}'`);
+  return `drawtext=${opts.join(':')}`;
+}
+
+module.exports = {
+  loadTextPool,
+  findTextPoolFile,
+  pickTexts,
+  scheduleTexts,
+  escapeFilterPath,
+  buildDrawtextFilter,
+};
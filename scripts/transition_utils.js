@@ -0,0 +1,98 @@
+/**
+ * 转场工具：基于 ffmpeg xfade 滤镜生成片段之间的转场。
+ * 风格与 xfade 转场名对应关系见 TRANSITION_STYLES，也可以直接填写 xfade 支持的转场名。
+ */
+
+const { randomInt } = require('./random_utils');
+
+const TRANSITION_STYLES = {
+  fade: ['fade'],
+  wipe: ['wipeleft', 'wiperight', 'wipeup', 'wipedown'],
+  slide: ['slideleft', 'slideright', 'slideup', 'slidedown'],
+  zoom: ['zoomin'],
+};
+
+function pickOne(arr) {
+  return arr[randomInt(arr.length)];
+}
+
+/**
+ * 为一个视频挑选转场
+ * @param {object} cfg - config.transition
+ * @param {string} [cfg.mode='random'] - random: 每个视频从 types 中随机；fixed: 固定使用 type
+ * @param {string} [cfg.type='fade'] - 风格名（fade/wipe/slide/zoom）或 xfade 转场名
+ * @param {Array<string>} [cfg.types] - random 模式的候选风格
+ * @returns {{ style: string, xfade: string }}
+ */
+function pickTransition(cfg = {}) {
+  const mode = cfg.mode || 'random';
+  if (mode === 'random') {
+    const types = (Array.isArray(cfg.types) && cfg.types.length) ? cfg.types : Object.keys(TRANSITION_STYLES);
+    const style = pickOne(types);
+    return { style, xfade: TRANSITION_STYLES[style] ? pickOne(TRANSITION_STYLES[style]) : style };
+  }
+  const style = cfg.type || 'fade';
+  return { style, xfade: TRANSITION_STYLES[style] ? TRANSITION_STYLES[style][0] : style };
+}
+
+/**
+ * 单个输入的统一化滤镜：可选裁剪时长与变速，再统一尺寸/帧率/像素格式/时基，输出标签为 [v{index}]。
+ * xfade 与 concat 滤镜都要求各路输入参数一致。
+ * @param {number} index - 输入序号
+ * @param {{ width: number, height: number, fps: number }} target
+ * @param {number} [trim] - 只保留前 trim 秒（原片时间）
+ * @param {number} [rate=1] - 片段变速倍率，大于 1 为加速
+ * @returns {string}
+ */
+function buildInputNormalizeFilter(index, target, trim, rate = 1) {
+  const { width, height, fps } = target;
+  const trimPart = trim > 0 ? `trim=duration=${trim.toFixed(3)},setpts=PTS-STARTPTS,` : '';
+  const speedPart = rate && rate !== 1 ? `setpts=(PTS-STARTPTS)/${rate.toFixed(6)},` : '';
+  return `[${index}:v]${trimPart}${speedPart}scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p,settb=AVTB[v${index}]`;
+}
+
+/**
+ * 构建 xfade 转场链：输入标签为 [v0]..[v{n-1}]（已统一化）
+ * @param {Array<number>} durations - 各片段时长（秒）
+ * @param {string} xfade - xfade 转场名
+ * @param {number} duration - 转场时长（秒）
+ * @param {string} [outLabel='vout']
+ * @returns {Array<string>} 滤镜段落
+ */
+function buildXfadeChain(durations, xfade, duration, outLabel = 'vout') {
+  if (durations.length === 1) return [`[v0]null[${outLabel}]`];
+  const parts = [];
+  // 第 k 个转场开始于：前 k+1 个片段总时长 - (k+1) 个转场时长
+  let prev = 'v0';
+  let acc = 0;
+  for (let k = 0; k < durations.length - 1; k++) {
+    acc += durations[k];
+    const offset = acc - (k + 1) * duration;
+    const out = k === durations.length - 2 ? outLabel : `x${k}`;
+    parts.push(`[${prev}][v${k + 1}]xfade=transition=${xfade}:duration=${duration.toFixed(3)}:offset=${offset.toFixed(3)}[${out}]`);
+    prev = out;
+  }
+  return parts;
+}
+
+/**
+ * 构建 xfade 链式 filter_complex。输入依次为 [0:v]..[n-1:v]，输出标签为 [vout]。
+ * @param {Array<number>} durations - 各片段时长（秒）
+ * @param {string} xfade - xfade 转场名
+ * @param {number} duration - 转场时长（秒）
+ * @param {{ width: number, height: number, fps: number }} target - 统一后的画面参数
+ * @returns {string}
+ */
+function buildXfadeFilter(durations, xfade, duration, target) {
+  const parts = durations.map((_, i) => buildInputNormalizeFilter(i, target));
+  return parts.concat(buildXfadeChain(durations, xfade, duration)).join(';');
+}
+
+module.exports = {
+  TRANSITION_STYLES,
+  pickTransition,
+  buildInputNormalizeFilter,
+  buildXfadeChain,
+  buildXfadeFilter,
+};
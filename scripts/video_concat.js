@@ -6,8 +6,41 @@ const crypto = require('crypto');
 const {
   concatClips,
   shuffle,
-  getClipDuration
+  getClipDuration,
+  getFps,
+  runFfmpegLogged
 } = require('./video_utils');
+const { loadSynthesisRecords, isSameClipsDir, countClipUsage } = require('./synthesis_log_utils');
+const {
+  makeIndexEntry,
+  loadClipSetIndex,
+  mergeRecordsIntoIndex,
+  saveClipSetIndex,
+  findMostSimilar
+} = require('./clip_set_index');
+const { getClipSourceAlias } = require('./alias_utils');
+const { detectBeats } = require('./beat_utils');
+const { pickTransition, buildXfadeFilter } = require('./transition_utils');
+const {
+  loadTextPool,
+  findTextPoolFile,
+  pickTexts,
+  scheduleTexts,
+  buildDrawtextFilter
+} = require('./text_overlay');
+const { pickLogoPosition, buildLogoFilterComplex } = require('./logo_utils');
+const { probeMany, getMediaDuration, probeMedia, setProbeConcurrency } = require('./probe_cache');
+const { createAudioSelector, recordAudioUse } = require('./audio_selector');
+const { loadClipCategories, normalizeSlots, allocateSlotDurations } = require('./clip_categories');
+const { parseAspectValue, buildNumericAspectFilters } = require('../video_standardize');
+const { isClipAudioDir, keepAudioArgs } = require('./clip_audio');
+const { getLoudnormTarget, buildLoudnormFilter, measureLoudness } = require('./loudnorm_utils');
+const { buildSinglePassGraph, buildSinglePassAudioGraph } = require('./render_graph');
+const { generateCover } = require('./cover_utils');
+const { checkVideoQuality } = require('./quality_gate');
+const { SPEED_FIT_STRATEGIES, distributeClipRates } = require('./speed_fit');
+const { MUSIC_FIT_MODES, getMusicVideoRange, pickMusicOffset, buildMusicTrimFilter } = require('./music_fit');
+const { setSeed, createSeed, getState, setState, random, randomInt, parseSeedArg } = require('./random_utils');
 
 // 读取配置
 const config = yaml.load(fs.readFileSync(path.join(__dirname, '../config.yaml'), 'utf8'));
@@ -16,9 +49,21 @@ const openDir = path.join(__dirname, '../', config.openDir || 'open');
 const outputDir = path.join(__dirname, '../', config.outputDir || 'output');
 const musicDir = path.join(__dirname, '../', config.musicDir || 'music');
 const numNewVideos = config.numNewVideos || 3;
+// 随机种子：为空时每个批次随机生成，命令行 --seed 优先；相同输入与种子得到相同的渲染计划
+const configSeed = config.seed ?? null;
+// 同时渲染的视频数量：选片仍按顺序进行，编码阶段并行
+const concurrency = Math.max(1, Math.floor(Number(config.concurrency) || 1));
+// 同时运行的 ffprobe 数量（探测结果会缓存到 outputDir/probe_cache.json）
+if (config.probeConcurrency) setProbeConcurrency(Number(config.probeConcurrency));
 
 const minVideoRate = config.minVideoRate || 0.95;
 const maxVideoRate = config.maxVideoRate || 1.05;
+// 逐片段变速：时长差值分摊到正文片段上（perClip / longest），无法分摊时回退到整体变速（global）
+const speedFitCfg = config.speedFit || {};
+const speedFitStrategy = SPEED_FIT_STRATEGIES.includes(speedFitCfg.strategy) ? speedFitCfg.strategy : 'global';
+// 音乐适配：music 模式下片段总时长决定成片长度，音乐截取到同样长度并淡出，不再要求片段总时长贴合音乐
+const musicFitCfg = config.musicFit || {};
+const musicFitMode = MUSIC_FIT_MODES.includes(musicFitCfg.mode) ? musicFitCfg.mode : 'video';
 const minClipDuration = config.minClipDuration || 1.5;
 const maxClipDuration = config.maxClipDuration || 30;
 const maxAVDiff = config.maxAVDiff || 0.2;
@@ -28,10 +73,88 @@ const videoLongerAudioMaxDiff = config.videoLongerAudioMaxDiff || 2;
 const videoNamePrefix = config.videoNamePrefix || 'myvideo';
 // 新增：openClipsCount配置项，用于指定从openDir中选择的开头片段数量
 const openClipsCount = config.openClipsCount !== undefined ? config.openClipsCount : 1;
+// 结尾片段：从 endDir 中选 endClipsCount 个接在正文之后，时长计入音频匹配
+const endDir = path.join(__dirname, '../', config.endDir || 'end');
+const endClipsCount = Number(config.endClipsCount) || 0;
+const endClipSelection = config.endClipSelection || 'random';
 // 音频长度控制参数
 const minAudioDuration = config.minAudioDuration || 30;  // 最小音频时长(秒)
 const maxAudioDuration = config.maxAudioDuration || 180; // 最大音频时长(秒)
 const enableAudioFilter = config.enableAudioFilter !== undefined ? config.enableAudioFilter : true;
+// 背景音乐选择策略：rotation / random / weighted / leastUsed / exactlyOnce
+const audioSelectionCfg = config.audioSelection || {};
+
+// 片段选择策略：leastUsed 优先选用历史与本批次中使用次数最少的片段；random 为原有的纯随机打乱
+const clipSelection = config.clipSelection || {};
+const clipSelectStrategy = clipSelection.strategy || 'leastUsed';
+const maxClipReuse = Number.isFinite(clipSelection.maxReuse) ? clipSelection.maxReuse : 0; // 单个片段本批次最多使用次数，0 表示不限
+const countHistoryUsage = clipSelection.countHistory !== undefined ? !!clipSelection.countHistory : true; // 是否统计 outputDir 下历史批次的使用次数
+// 近似重复判定：候选组合与任一已有视频的片段重合度（Jaccard）达到该值即重新选片段；1 表示仅拒绝片段完全相同的组合
+const maxClipOverlap = Number.isFinite(clipSelection.maxOverlap) ? clipSelection.maxOverlap : 1;
+const overlapHistory = clipSelection.overlapHistory !== undefined ? !!clipSelection.overlapHistory : true; // 是否与历史批次比较
+// 来源多样性：同一来源视频（片段文件名前缀别名）在单个视频中最多使用的片段数，0 表示不限
+const maxClipsPerSource = Number.isFinite(clipSelection.maxClipsPerSource) ? clipSelection.maxClipsPerSource : 0;
+const avoidAdjacentSameSource = !!clipSelection.avoidAdjacentSameSource; // 相邻两个片段不能来自同一来源视频
+
+// 卡点模式：离线检测背景音乐的节拍/起音点，挑选并裁剪片段使每个切点落在节拍上
+const beatSync = config.beatSync || {};
+const beatSyncEnabled = !!beatSync.enable;
+
+// 结构模板：片段按类别归类（子文件夹或标签文件），按模板中各类别槽位的顺序与时长范围选片
+const structureCfg = config.structure || {};
+const structureSlots = normalizeSlots(structureCfg.slots);
+const structureEnabled = !!structureCfg.enable && structureSlots.length > 0;
+
+// 转场：基于 xfade，每个视频固定或随机一种转场；转场会让相邻片段重叠，选片时需扣除重叠时长
+const transitionCfg = config.transition || {};
+const transitionEnabled = !!transitionCfg.enable;
+// 转场时长不能超过最短片段的一半，否则相邻两个转场会重叠
+const transitionDuration = Math.min(Number(transitionCfg.duration) || 0.5, minClipDuration / 2);
+const transitionOverlap = transitionEnabled ? transitionDuration : 0;
+
+// 卖点文案：从文案池随机挑选若干条，用 drawtext 烧录到成片上
+const textOverlayCfg = config.textOverlay || {};
+const textOverlayEnabled = !!textOverlayCfg.enable;
+
+// Logo/水印：PNG 图片叠加到每个视频上，位置固定或每个视频随机一个角
+const logoCfg = config.logo || {};
+const logoPath = logoCfg.file ? path.join(__dirname, '../', logoCfg.file) : '';
+const logoEnabled = !!logoCfg.enable && !!logoPath;
+
+// 单次合成：用一个 filter_complex 直接输出成片，替代“拼接-变速-裁剪-合成-截断”的多步临时文件流程
+const singlePassRender = !!config.singlePassRender;
+
+// 片段原声：片段目录在 clipAudio.dirs 中时保留原声并混在背景音乐之下（需要单次合成）
+const clipAudioCfg = config.clipAudio || {};
+const keepClipAudio = isClipAudioDir(clipAudioCfg, clipsDir);
+
+// 多画幅版本：同一渲染计划额外输出若干画幅（如 9:16 / 3:4 / 1:1），分别放在批次目录下以版本名命名的子文件夹中
+const aspectVariantsCfg = config.aspectVariants || {};
+const aspectVariants = aspectVariantsCfg.enable && Array.isArray(aspectVariantsCfg.variants)
+  ? aspectVariantsCfg.variants
+    .map(v => ({
+      name: String(v.name || String(v.ratio || '').replace(':', 'x')),
+      ratio: parseAspectValue(v.ratio),
+      mode: String(v.mode || 'pad').toLowerCase(),
+      padColor: v.padColor || 'black',
+      blurStrength: Number.isFinite(+v.blurStrength) ? +v.blurStrength : 20
+    }))
+    .filter(v => v.ratio && v.name)
+  : [];
+
+// 封面图：成片合成后从 hook 片段中选一帧保存为同名 JPG，可叠加标题池中的标题
+const coverCfg = config.cover || {};
+const coverEnabled = !!coverCfg.enable;
+const coverTitleCfg = coverCfg.title || {};
+
+// 成片质量检查：黑场、冻结、静音、时长异常的成片移入批次目录下的 _rejected，并补足 numNewVideos 个合格视频
+const qualityGateCfg = config.qualityGate || {};
+const qualityGateEnabled = !!qualityGateCfg.enable;
+const REJECTED_DIR_NAME = '_rejected';
+
+// 响度标准化：成片音频按 EBU R128 双遍 loudnorm 校正到目标响度，测量值记入合成记录
+const loudnormCfg = config.loudnorm || {};
+const loudnormEnabled = !!loudnormCfg.enable;
 
 // 新增：FFmpeg 编码与加速配置（支持 AMD/NVIDIA/CPU）
 const ffmpegVideoCodec = config.ffmpegVideoCodec || 'libx264'; // 可选：libx264 | h264_nvenc | h264_amf
@@ -111,77 +234,67 @@ async function buildVideoCodecArgs() {
 
 // 新增：获取视频宽高
 async function getVideoDimensions(p) {
-  return new Promise((resolve, reject) => {
-    const { spawn } = require('child_process');
-    const proc = spawn('ffprobe', [
-      '-v', 'error',
-      '-select_streams', 'v:0',
-      '-show_entries', 'stream=width,height',
-      '-of', 'csv=p=0:s=x',
-      p
-    ]);
-    let data = '';
-    proc.stdout.on('data', d => data += d.toString());
-    proc.on('close', () => {
-      const m = data.trim().match(/(\d+)x(\d+)/);
-      if (m) return resolve({ width: +m[1], height: +m[2] });
-      resolve({ width: 0, height: 0 });
-    });
-    proc.on('error', reject);
-  });
+  try {
+    const info = await probeMedia(p);
+    if (info.video) return { width: info.video.width, height: info.video.height };
+  } catch (_) { }
+  return { width: 0, height: 0 };
 }
 
 // 新增：向上取偶
 function nextEven(n) { const x = Math.ceil(n); return x % 2 === 0 ? x : x + 1; }
 
 // 新增：确保片段满足最小分辨率（仅放大，不缩小），返回可能的新路径；带缓存避免重复处理
+// 缓存的是处理中的 Promise：并行渲染的任务用到同一片段时共用一次放大，不会同时写同一个文件
 const __resizeCache = new Map();
-async function ensureMinResolution(clipPath, cacheRoot, minW, minH) {
-  if (!minW || !minH) return clipPath;
-  if (__resizeCache.has(clipPath)) return __resizeCache.get(clipPath);
+function ensureMinResolution(clipPath, cacheRoot, minW, minH) {
+  if (!minW || !minH) return Promise.resolve(clipPath);
+  if (!__resizeCache.has(clipPath)) __resizeCache.set(clipPath, upscaleClip(clipPath, cacheRoot, minW, minH));
+  return __resizeCache.get(clipPath);
+}
+
+async function upscaleClip(clipPath, cacheRoot, minW, minH) {
   try {
     const { width, height } = await getVideoDimensions(clipPath);
-    if (width >= minW && height >= minH) {
-      __resizeCache.set(clipPath, clipPath);
-      return clipPath; // 已满足
-    }
-    if (!width || !height) {
-      __resizeCache.set(clipPath, clipPath);
-      return clipPath;
-    }
+    if (width >= minW && height >= minH) return clipPath; // 已满足
+    if (!width || !height) return clipPath;
     const scale = Math.max(minW / width, minH / height);
     const outW = nextEven(width * scale);
     const outH = nextEven(height * scale);
     await fs.ensureDir(cacheRoot);
     const base = path.parse(clipPath).name; // 不改变 idList 使用
     const hash = crypto.createHash('sha1').update(path.resolve(clipPath)).digest('hex').slice(0, 8);
-    const outPath = path.join(cacheRoot, `${base}_${hash}_${outW}x${outH}.mp4`);
-    if (fs.existsSync(outPath)) { // 已有缓存
-      __resizeCache.set(clipPath, outPath);
-      return outPath;
-    }
-    await new Promise(async (resolve, reject) => {
-      const args = [
-        '-i', clipPath,
-        '-vf', `scale=${outW}:${outH}:flags=lanczos`,
-        '-an',
-        ...(await buildVideoCodecArgs()),
-        '-y', outPath
-      ];
-      const { spawn } = require('child_process');
-      const ff = spawn('ffmpeg', args, { stdio: 'pipe' });
-      let err = '';
-      ff.stderr.on('data', d => { err += d.toString(); });
-      ff.on('close', c => {
-        if (c === 0) resolve(); else reject(new Error(err || 'ffmpeg resize error'));
+    const outPath = path.join(cacheRoot, `${base}_${hash}_${outW}x${outH}${keepClipAudio ? '_a' : ''}.mp4`);
+    if (fs.existsSync(outPath)) return outPath; // 已有缓存
+    // 先写临时文件，完成后再改名：中断时不会留下被当作缓存复用的半成品
+    const tmpPath = outPath.replace(/\.mp4$/i, `.part${process.pid}.mp4`);
+    let args = [
+      '-i', clipPath,
+      '-vf', `scale=${outW}:${outH}:flags=lanczos`,
+      '-an',
+      ...(await buildVideoCodecArgs()),
+      '-y', tmpPath
+    ];
+    if (keepClipAudio) args = keepAudioArgs(args);
+    try {
+      await new Promise((resolve, reject) => {
+        const { spawn } = require('child_process');
+        const ff = spawn('ffmpeg', args, { stdio: 'pipe' });
+        let err = '';
+        ff.stderr.on('data', d => { err += d.toString(); });
+        ff.on('close', c => {
+          if (c === 0) resolve(); else reject(new Error(err || 'ffmpeg resize error'));
+        });
+        ff.on('error', reject);
       });
-      ff.on('error', reject);
-    });
-    __resizeCache.set(clipPath, outPath);
+      await fs.move(tmpPath, outPath, { overwrite: true });
+    } catch (e) {
+      try { fs.removeSync(tmpPath); } catch (_) { }
+      throw e;
+    }
     return outPath;
   } catch (e) {
     console.warn('自动放大失败，使用原片段:', path.basename(clipPath), e.message || e);
-    __resizeCache.set(clipPath, clipPath);
     return clipPath;
   }
 }
@@ -219,40 +332,385 @@ function getMusicFiles() {
 
 // 获取音频时长
 async function getAudioDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    const { spawn } = require('child_process');
-    const ffprobe = spawn('ffprobe', [
-      '-v', 'error',
-      '-show_entries', 'format=duration',
-      '-of', 'default=noprint_wrappers=1:nokey=1',
-      filePath
-    ]);
-    let data = '';
-    ffprobe.stdout.on('data', chunk => data += chunk);
-    ffprobe.on('close', () => {
-      resolve(parseFloat(data));
-    });
-    ffprobe.on('error', err => reject(err));
+  return getMediaDuration(filePath);
+}
+
+// 片段标识：文件名（不含扩展名），与合成记录中的 clips 一致；
+// 片段目录下类别子文件夹中的片段带上子文件夹名（如 hook/A198_3），不同类别的同名片段不会共用标识
+function getClipId(f) {
+  const name = path.parse(path.basename(f)).name;
+  const rel = path.relative(clipsDir, path.dirname(f));
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return name;
+  return `${rel.split(path.sep).join('/')}/${name}`;
+}
+
+// 按使用次数从少到多排列候选片段下标；同次数内随机。
+// 重试次数越多，加入的随机扰动越大，让使用次数稍多的片段也能参与组合，避免每次重试得到相同结果
+function orderClipIdxsByUsage(clips, usage, tryCount) {
+  const idxs = shuffle([...Array(clips.length).keys()]);
+  if (clipSelectStrategy !== 'leastUsed') return idxs;
+  const jitter = Math.min(Math.max(tryCount - 1, 0), 20) * 0.1;
+  return idxs
+    .map(idx => ({ idx, key: (usage.get(getClipId(clips[idx])) || 0) + random() * jitter }))
+    .sort((a, b) => a.key - b.key)
+    .map(x => x.idx);
+}
+
+// 为第 videoSlot 个视频选结尾片段（同一视频内不重复）：
+// rotation 按文件名轮换；leastUsed 按使用次数从少到多（同次数随机）；其余为随机
+function pickEndClips(endFiles, count, videoSlot, usage) {
+  if (endFiles.length === 0 || count <= 0) return [];
+  const n = Math.min(count, endFiles.length);
+  if (endClipSelection === 'rotation') {
+    return Array.from({ length: n }, (_, j) => endFiles[(videoSlot * n + j) % endFiles.length]);
+  }
+  if (endClipSelection === 'leastUsed') {
+    return shuffle(endFiles.slice())
+      .sort((a, b) => (usage.get(getClipId(a)) || 0) - (usage.get(getClipId(b)) || 0))
+      .slice(0, n);
+  }
+  return shuffle(endFiles.slice()).slice(0, n);
+}
+
+// 重新排列片段，使相邻片段不来自同一来源；prevSource 为排在它们前面的片段来源（如开头片段）。
+// 每一步从剩余最多且与上一个不同的来源中取片段，无法满足时返回 null
+function arrangeAvoidingAdjacentSource(clips, prevSource) {
+  const groups = new Map();
+  for (const f of shuffle(clips.slice())) {
+    const src = getClipSourceAlias(f);
+    if (!groups.has(src)) groups.set(src, []);
+    groups.get(src).push(f);
+  }
+  const result = [];
+  let last = prevSource;
+  while (result.length < clips.length) {
+    let pick = null;
+    for (const [src, list] of groups) {
+      if (src === last || list.length === 0) continue;
+      if (!pick || list.length > groups.get(pick).length) pick = src;
+    }
+    if (!pick) return null;
+    result.push(groups.get(pick).pop());
+    last = pick;
+  }
+  return result;
+}
+
+// 节拍检测结果缓存（同一音频在本批次中会被多次使用）
+const __beatCache = new Map();
+async function getAudioBeats(audioPath) {
+  if (__beatCache.has(audioPath)) return __beatCache.get(audioPath);
+  const beats = await detectBeats(audioPath, {
+    sensitivity: beatSync.sensitivity,
+    minInterval: beatSync.minInterval
   });
+  __beatCache.set(audioPath, beats);
+  return beats;
+}
+
+// 卡点选片：从 startTime（开头片段之后）开始，依次为每个候选片段在其可用时长内随机挑一个节拍作为切点，
+// 片段裁剪到该切点；剩余时长不超过片段可用时长时，最后一个片段直接裁到音频结尾。
+// 返回 { clips, trims, cuts }，无法铺满音频时返回 null
+async function selectClipsOnBeats(candidates, beats, startTime, audioDuration, prevSource, isAllowed) {
+  const clips = [];
+  const trims = [];
+  const cuts = [];
+  const sourceCount = new Map();
+  let t = startTime;
+  let last = prevSource;
+  for (const f of candidates) {
+    if (audioDuration - t < 0.01) break;
+    if (!isAllowed(f)) continue;
+    const src = getClipSourceAlias(f);
+    if (maxClipsPerSource > 0 && (sourceCount.get(src) || 0) >= maxClipsPerSource) continue;
+    if (avoidAdjacentSameSource && src === last) continue;
+    const dur = await getClipDuration(f);
+    // 长片段会被裁剪，因此只限制可用长度而不排除；启用转场时除第一个片段外（有开头片段时包括第一个），
+    // 每个片段需额外保留一个与前一个片段重叠的转场时长，使转场恰好从节拍处开始
+    const overlap = (clips.length > 0 || startTime > 0) ? transitionOverlap : 0;
+    if (!(dur >= minClipDuration + overlap)) continue;
+    const usable = Math.min(dur - overlap, maxClipDuration);
+    let cut;
+    if (audioDuration - t <= usable) {
+      cut = audioDuration;
+    } else {
+      // 切点需保证本片段与剩余部分都不短于 minClipDuration
+      const options = beats.filter(b => b - t >= minClipDuration && b - t <= usable && audioDuration - b >= minClipDuration);
+      if (options.length === 0) continue;
+      cut = options[randomInt(options.length)];
+    }
+    clips.push(f);
+    trims.push(+(cut - t + overlap).toFixed(3));
+    cuts.push(cut);
+    sourceCount.set(src, (sourceCount.get(src) || 0) + 1);
+    last = src;
+    t = cut;
+  }
+  return audioDuration - t < 0.01 ? { clips, trims, cuts } : null;
 }
 
-// 合成视频并对齐音频
-async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioRate, videoRates, progressCb) {
+// 模板选片：从 startTime（开头片段之后）开始，把剩余时长按各槽位时长范围分配，再依次从对应类别中取片段填满槽位，
+// 槽位的最后一个片段裁剪到槽位时长。candidates 已按使用次数排序，categories 为 片段路径 → 类别集合。
+// 返回 { clips, trims, slots }，无法按模板铺满音频时返回 null
+async function selectClipsByTemplate(candidates, categories, slots, startTime, audioDuration, prevSource, isAllowed) {
+  const targets = allocateSlotDurations(slots, audioDuration - startTime);
+  if (!targets) return null;
+  const clips = [];
+  const trims = [];
+  const slotRecords = [];
+  const used = new Set();
+  const sourceCount = new Map();
+  let last = prevSource;
+  for (let s = 0; s < slots.length; s++) {
+    const { category } = slots[s];
+    let need = targets[s];
+    // 槽位本身短于最小片段时长时，允许一个片段裁到槽位时长
+    const floor = Math.min(minClipDuration, need);
+    const slotClips = [];
+    for (const f of candidates) {
+      if (need < 0.01) break;
+      if (used.has(f) || !isAllowed(f)) continue;
+      if (category && !(categories.get(f) && categories.get(f).has(category))) continue;
+      const src = getClipSourceAlias(f);
+      if (maxClipsPerSource > 0 && (sourceCount.get(src) || 0) >= maxClipsPerSource) continue;
+      if (avoidAdjacentSameSource && src === last) continue;
+      // 除第一个片段外，每个片段与前一个片段重叠一个转场时长
+      const overlap = (clips.length > 0 || startTime > 0) ? transitionOverlap : 0;
+      const dur = await getClipDuration(f);
+      if (!(dur - overlap >= floor)) continue;
+      const usable = Math.min(dur - overlap, maxClipDuration);
+      let len;
+      if (need <= usable) {
+        len = need;
+      } else if (need - usable >= floor) {
+        len = usable;
+      } else {
+        // 整段使用会让槽位剩余部分过短：少用一些，给下一个片段留出最小时长
+        len = need - floor;
+        if (len < floor) continue;
+      }
+      clips.push(f);
+      trims.push(+(len + overlap).toFixed(3));
+      slotClips.push(getClipId(f));
+      used.add(f);
+      sourceCount.set(src, (sourceCount.get(src) || 0) + 1);
+      last = src;
+      need -= len;
+    }
+    if (need >= 0.01) return null;
+    slotRecords.push({ category: category || '*', clips: slotClips, duration: +targets[s].toFixed(3) });
+  }
+  return { clips, trims, slots: slotRecords };
+}
+
+// 精确选片的求解精度（秒）
+const EXACT_FIT_STEP = 0.01;
+
+// 精确选片：在缓存的片段时长上求解子集和（0/1 背包），使正文时长（扣除转场重叠）落在 [lo, hi] 内且尽量接近 target。
+// candidates 已按使用次数排序（同次数随机），按顺序加入动态规划，每个时长只记录最先到达的组合，
+// 因此优先使用排在前面（用得少）的片段，每次重试的候选顺序不同，得到的组合也不同。
+// hasOpen 为 true 时第一个正文片段也与开头片段重叠；limitPerSource 为 true 时每个来源只保留排在前面的 maxClipsPerSource 个片段。
+// 返回 { clips, duration }（clips 按候选顺序），不存在满足条件的组合时返回 null
+async function selectClipsExactFit(candidates, lo, hi, target, hasOpen, isAllowed, limitPerSource = true) {
+  const items = [];
+  const sourceCount = new Map();
+  for (const f of candidates) {
+    if (!isAllowed(f)) continue;
+    const dur = await getClipDuration(f);
+    if (!(dur >= minClipDuration && dur <= maxClipDuration)) continue;
+    const src = getClipSourceAlias(f);
+    if (limitPerSource && maxClipsPerSource > 0 && (sourceCount.get(src) || 0) >= maxClipsPerSource) continue;
+    const eff = dur - transitionOverlap;
+    if (eff <= 0) continue;
+    sourceCount.set(src, (sourceCount.get(src) || 0) + 1);
+    items.push({ f, eff, w: Math.round(eff / EXACT_FIT_STEP) });
+  }
+  // 没有开头片段时第一个正文片段不与前面重叠，整体多出一个转场时长
+  const shift = hasOpen ? 0 : transitionOverlap;
+  const W = Math.floor((hi - shift) / EXACT_FIT_STEP + 1e-6);
+  const minS = Math.max(1, Math.ceil((lo - shift) / EXACT_FIT_STEP - 1e-6));
+  if (items.length === 0 || W < minS) return null;
+  // reachItem[s]：最先凑出时长 s 时加入的片段（-1 未到达，-2 为空集），reachPrev[s]：加入该片段前的时长
+  const reachItem = new Int32Array(W + 1).fill(-1);
+  const reachPrev = new Int32Array(W + 1);
+  reachItem[0] = -2;
+  for (let k = 0; k < items.length; k++) {
+    const w = items[k].w;
+    for (let sum = W - w; sum >= 0; sum--) {
+      if (reachItem[sum] !== -1 && reachItem[sum + w] === -1) {
+        reachItem[sum + w] = k;
+        reachPrev[sum + w] = sum;
+      }
+    }
+  }
+  const targetS = (target - shift) / EXACT_FIT_STEP;
+  let best = -1;
+  for (let sum = minS; sum <= W; sum++) {
+    if (reachItem[sum] >= 0 && (best < 0 || Math.abs(sum - targetS) < Math.abs(best - targetS))) best = sum;
+  }
+  if (best < 0) return null;
+  const picked = [];
+  for (let sum = best; sum > 0; sum = reachPrev[sum]) picked.push(reachItem[sum]);
+  picked.reverse();
+  return {
+    clips: picked.map(k => items[k].f),
+    duration: picked.reduce((a, k) => a + items[k].eff, 0) + shift
+  };
+}
+
+// 使用 xfade 转场拼接片段（需重编码），输出不含音频
+async function concatClipsWithTransition(clips, outPath, transition) {
+  for (const clip of clips) {
+    if (!fs.existsSync(clip)) {
+      throw new Error(`片段文件不存在: ${clip}`);
+    }
+  }
+  const durations = [];
+  for (const clip of clips) durations.push(await getClipDuration(clip));
+  // 以第一个片段的尺寸和帧率为准统一所有输入
+  const { width, height } = await getVideoDimensions(clips[0]);
+  const fps = Math.round(await getFps(clips[0])) || 30;
+  const filter = buildXfadeFilter(durations, transition.xfade, transition.duration, {
+    width: nextEven(width || resizeMinWidth || 720),
+    height: nextEven(height || resizeMinHeight || 1280),
+    fps
+  });
+  const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+  for (const clip of clips) args.push('-i', clip.replace(/\\/g, '/'));
+  args.push(
+    '-filter_complex', filter,
+    '-map', '[vout]',
+    '-an',
+    ...(await buildVideoCodecArgs()),
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    '-y', outPath.replace(/\\/g, '/')
+  );
+  await runFfmpegLogged(args, `xfade_${path.parse(outPath).name}`, ffmpegTimeout / 1000);
+}
+
+// 将片段精确裁剪为指定时长（重编码保证帧精度），输出到临时片段目录
+async function trimClipTo(clipPath, duration, outDir) {
+  await fs.ensureDir(outDir);
+  const base = getClipId(clipPath).replace(/\//g, '_');
+  const outPath = path.join(outDir, `${base}_t${duration.toFixed(3)}.mp4`);
+  if (fs.existsSync(outPath)) return outPath;
+  await runFfmpegLogged([
+    '-hide_banner', '-loglevel', 'error', '-nostdin',
+    '-i', clipPath.replace(/\\/g, '/'),
+    '-t', duration.toFixed(3),
+    '-an',
+    ...(await buildVideoCodecArgs()),
+    '-movflags', '+faststart',
+    '-y', outPath.replace(/\\/g, '/')
+  ], `trim_${base}`, ffmpegTimeout / 1000);
+  return outPath;
+}
+
+// 片段变速（多步流程中预先生成，单次合成在滤镜图中完成）
+async function speedClipTo(clipPath, rate, outDir) {
+  await fs.ensureDir(outDir);
+  const base = getClipId(clipPath).replace(/\//g, '_');
+  const outPath = path.join(outDir, `${base}_r${rate.toFixed(4)}.mp4`);
+  if (fs.existsSync(outPath)) return outPath;
+  await runFfmpegLogged([
+    '-hide_banner', '-loglevel', 'error', '-nostdin',
+    '-i', clipPath.replace(/\\/g, '/'),
+    '-filter:v', `setpts=(PTS-STARTPTS)/${rate.toFixed(6)}`,
+    '-an',
+    ...(await buildVideoCodecArgs()),
+    '-movflags', '+faststart',
+    '-y', outPath.replace(/\\/g, '/')
+  ], `speed_${base}`, ffmpegTimeout / 1000);
+  return outPath;
+}
+
+// 画幅转换滤镜（pad/crop/blur），沿用 video_standardize.js 的宽高比计算；width/height 为拼接后的画面尺寸
+function buildAspectFilters(width, height, aspect) {
+  if (!aspect || !width || !height) return [];
+  return buildNumericAspectFilters(width, height, {
+    targetAspectRatio: aspect.ratio,
+    aspectMode: aspect.mode,
+    padColor: aspect.padColor,
+    blurStrength: aspect.blurStrength
+  });
+}
+
+// 拼接后对整段画面应用的滤镜：变速、画幅、文案（文案在画幅转换之后叠加，位置按新画幅计算）。
+// 文案内容写入临时文本文件，由 drawtext 的 textfile 读取，用完需删除
+function buildPostVideoFilters(videoRates, texts, workDir, aspectFilters = []) {
+  const videoFilters = [];
+  if (videoRates && videoRates[0] !== 1.0) {
+    videoFilters.push(`setpts=${(1 / videoRates[0]).toFixed(6)}*PTS`);
+  }
+  videoFilters.push(...aspectFilters);
+  const textFiles = [];
+  for (const item of (texts || [])) {
+    const textFile = path.join(workDir, `text_${Date.now()}_${textFiles.length}.txt`);
+    fs.writeFileSync(textFile, item.text, 'utf8');
+    textFiles.push(textFile);
+    videoFilters.push(buildDrawtextFilter(textFile, item, textOverlayCfg));
+  }
+  return { videoFilters, textFiles };
+}
+
+// 响度标准化第一遍：测量成片音频（audioGraph 输出标签为 [lin]），返回第二遍滤镜与要记录的测量值；
+// 测量失败时不做标准化，不影响合成
+async function prepareLoudnorm(inputs, audioGraph, outPath) {
+  if (!loudnormEnabled) return { filter: null, loudness: null };
+  try {
+    const measured = await measureLoudness(inputs, audioGraph, loudnormCfg, ffmpegTimeout);
+    console.log(`响度测量 ${path.basename(outPath)}: ${measured.I} LUFS，真峰值 ${measured.TP} dBTP`);
+    return {
+      filter: buildLoudnormFilter(loudnormCfg, measured),
+      loudness: { target: getLoudnormTarget(loudnormCfg), measured }
+    };
+  } catch (e) {
+    console.warn(`响度测量失败，跳过响度标准化: ${e.message}`);
+    return { filter: null, loudness: null };
+  }
+}
+
+// 合成视频并对齐音频，返回 { loudness }（未启用响度标准化时为 null）
+// renderOpts.transition: { xfade, duration }，为空时使用硬切（concat 复制拼接）
+// renderOpts.texts: [{ text, start, end }]，按成片时间轴叠加的文案
+// renderOpts.logo: { path, position }，叠加的 logo 图片及位置
+// renderOpts.aspect: { ratio, mode, padColor, blurStrength }，输出画幅版本（见 aspectVariants），为空时保持原画幅
+// renderOpts.music: { offset, duration, fadeIn, fadeOut }，音乐对齐画面时的截取参数（见 musicFit），为空时从头截取到音乐时长
+async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioRate, videoRates, progressCb, renderOpts = {}) {
+  const transition = renderOpts.transition || null;
+  // logo 需要额外的图片输入，使用 filter_complex 叠加在变速/文案滤镜之后
+  const logo = renderOpts.logo || null;
+  if (logo && !fs.existsSync(logo.path)) {
+    throw new Error(`logo 文件不存在: ${logo.path}`);
+  }
   // 先拼接视频片段为一个临时视频
-  progressCb && progressCb('[1/4] 正在拼接片段...');
+  progressCb && progressCb(transition ? `[1/4] 正在拼接片段（转场: ${transition.xfade}）...` : '[1/4] 正在拼接片段...');
   const tempVideo = path.join(outputDir, `temp_${Date.now()}.mp4`);
-  await concatClips(clips, tempVideo, outputDir);
+  if (transition) {
+    await concatClipsWithTransition(clips, tempVideo, transition);
+  } else {
+    await concatClips(clips, tempVideo, outputDir);
+  }
   // 如果需要裁剪最后一个片段
   let finalVideo = tempVideo;
-  // 新增：调整视频速率
-  if (videoRates && videoRates[0] !== 1.0) {
+  // 新增：调整视频速率、叠加文案、logo（合并为一次重编码）
+  let aspectFilters = [];
+  if (renderOpts.aspect) {
+    const { width, height } = await getVideoDimensions(tempVideo);
+    aspectFilters = buildAspectFilters(width, height, renderOpts.aspect);
+  }
+  const { videoFilters, textFiles } = buildPostVideoFilters(videoRates, renderOpts.texts, outputDir, aspectFilters);
+  if (videoFilters.length > 0 || logo) {
     const speededVideo = path.join(outputDir, `speeded_${Date.now()}.mp4`);
-    const vRate = videoRates[0];
     await new Promise(async (resolve, reject) => {
       const codecArgs = await buildVideoCodecArgs();
+      const filterArgs = logo
+        ? ['-i', logo.path, '-filter_complex', buildLogoFilterComplex(videoFilters, logo.position, logoCfg), '-map', '[vout]']
+        : ['-filter:v', videoFilters.join(',')];
       const args = [
         '-i', finalVideo,
-        '-filter:v', `setpts=${(1 / vRate).toFixed(6)}*PTS`,
+        ...filterArgs,
         '-an',
         ...codecArgs,
         '-y',
@@ -266,11 +724,13 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
         if (code === 0) {
           resolve();
         } else {
-          console.error('FFmpeg 变速错误输出:', stderrData);
+          console.error('FFmpeg 变速/文案/logo 错误输出:', stderrData);
           reject(new Error('ffmpeg speed error'));
         }
       });
       ffmpeg.on('error', err => reject(err));
+    }).finally(() => {
+      textFiles.forEach(f => { if (fs.existsSync(f)) fs.unlinkSync(f); });
     });
     fs.unlinkSync(finalVideo);
     finalVideo = speededVideo;
@@ -284,7 +744,8 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
     for (let i = 0; i < clips.length - 1; i++) {
       total += await getClipDuration(clips[i]);
     }
-    const lastStart = total;
+    // 转场使每个片段与前一个重叠，最后片段的起点需扣除全部重叠
+    const lastStart = transition ? total - (clips.length - 1) * transition.duration : total;
     const lastLen = clips.cutLastTo;
     // 用ffmpeg裁剪最后一段
     await new Promise((resolve, reject) => {
@@ -294,10 +755,10 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
         return;
       }
 
+      // 保留从开头到最后片段裁剪点的全部内容
       const args = [
         '-i', finalVideo,
-        '-ss', lastStart.toString(),
-        '-t', lastLen.toString(),
+        '-t', (lastStart + lastLen).toString(),
         '-c', 'copy',
         '-y', cutVideo
       ];
@@ -323,9 +784,16 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
         reject(err);
       });
     });
+    // 变速/文案阶段已删除 tempVideo，此处删除的是裁剪前的视频
+    if (fs.existsSync(finalVideo)) fs.unlinkSync(finalVideo);
     finalVideo = cutVideo;
-    fs.unlinkSync(tempVideo);
   }
+  // 音频按成片时长测量响度，合成时一并校正；音乐对齐画面时按截取参数截取音乐
+  const music = renderOpts.music || null;
+  const audioDuration = music ? music.duration : await getAudioDuration(audioPath);
+  const { filter: loudnormFilter, loudness } = await prepareLoudnorm(
+    [audioPath], `[0:a]${buildMusicTrimFilter(audioDuration, music)}[lin]`, outPath);
+  const audioFilter = [music ? buildMusicTrimFilter(audioDuration, music) : '', loudnormFilter].filter(Boolean).join(',');
   // 构造ffmpeg命令：调整音频速率、视频速率，合成输出
   progressCb && progressCb('[3/4] 正在合成音视频...');
   const tempOut = path.join(outputDir, `out_${Date.now()}.mp4`);
@@ -357,6 +825,7 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
       '-i', normalizedVideoPath,
       '-i', normalizedAudioPath,
       ...videoCodecArgs,
+      ...(audioFilter ? ['-af', audioFilter] : []),
       '-c:a', 'aac',
       '-strict', '-2',
       '-shortest',
@@ -439,7 +908,6 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
   });
   // 最后一步：用音频时长精确裁剪，防止卡帧
   progressCb && progressCb('[4/4] 正在裁剪并封装修正索引...');
-  const audioDuration = await getAudioDuration(audioPath);
   const tempCutted = path.join(outputDir, `cutted_${Date.now()}.mp4`);
 
   console.log(`裁剪视频 - 音频时长: ${audioDuration.toFixed(2)}s`);
@@ -629,18 +1097,89 @@ async function concatClipsWithAudio(clips, audioPath, outPath, outputDir, audioR
       reject(err);
     });
   });
+  return { loudness };
 }
 
-async function composeVideosWithOpen() {
-  await fs.ensureDir(outputDir);
-  // 生成本次批量的子文件夹名
-  const now = new Date();
-  const pad = n => n.toString().padStart(2, '0');
-  const folderName = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}`;
-  const batchDir = path.join(outputDir, folderName);
-  await fs.ensureDir(batchDir);
-  const tempClipsDir = path.join(batchDir, 'temp_clips');
-  await fs.ensureDir(tempClipsDir);
+// 单次合成：一个 filter_complex 完成拼接、逐片段裁剪、变速、文案、logo 与音频截断，直接输出成片
+// clipSpecs: [{ path, trim }]，trim 为该片段保留的时长（卡点裁剪或最后片段裁剪），为空表示完整使用
+// renderOpts 同 concatClipsWithAudio，另有 renderOpts.clipAudio：为 true 时把片段原声混入背景音乐
+async function renderSinglePass(clipSpecs, audioPath, outPath, workDir, videoRates, progressCb, renderOpts = {}) {
+  const transition = renderOpts.transition || null;
+  const logo = renderOpts.logo || null;
+  for (const c of clipSpecs) {
+    if (!fs.existsSync(c.path)) throw new Error(`片段文件不存在: ${c.path}`);
+  }
+  if (!fs.existsSync(audioPath)) throw new Error(`音频文件不存在: ${audioPath}`);
+  if (logo && !fs.existsSync(logo.path)) throw new Error(`logo 文件不存在: ${logo.path}`);
+  progressCb && progressCb('[1/1] 正在单次合成...');
+  const clips = [];
+  for (const c of clipSpecs) clips.push({ duration: await getClipDuration(c.path), trim: c.trim });
+  // 以第一个片段的尺寸和帧率为准统一所有输入
+  const { width, height } = await getVideoDimensions(clipSpecs[0].path);
+  const fps = Math.round(await getFps(clipSpecs[0].path)) || 30;
+  const audioDuration = renderOpts.music ? renderOpts.music.duration : await getAudioDuration(audioPath);
+  const target = {
+    width: nextEven(width || resizeMinWidth || 720),
+    height: nextEven(height || resizeMinHeight || 1280),
+    fps
+  };
+  const aspectFilters = buildAspectFilters(target.width, target.height, renderOpts.aspect);
+  const { videoFilters, textFiles } = buildPostVideoFilters(videoRates, renderOpts.texts, workDir, aspectFilters);
+  let clipAudio = null;
+  if (renderOpts.clipAudio) {
+    const infos = await probeMany(clipSpecs.map(c => c.path));
+    clipAudio = { hasAudio: infos.map(info => !!(info && info.audio)), rate: videoRates[0] || 1, cfg: clipAudioCfg };
+  }
+  const graphOpt = {
+    clips,
+    target,
+    transition,
+    videoFilters,
+    logo: logo ? { position: logo.position, cfg: logoCfg } : null,
+    audioDuration,
+    music: renderOpts.music || null,
+    clipAudio
+  };
+  // 响度测量只运行滤镜图的音频部分（与成片混音一致）
+  const inputs = clipSpecs.map(c => c.path).concat(audioPath);
+  const { filter: loudnormFilter, loudness } = await prepareLoudnorm(inputs, buildSinglePassAudioGraph(graphOpt, 'lin'), outPath);
+  const graph = buildSinglePassGraph({ ...graphOpt, audioPost: loudnormFilter });
+  const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+  for (const c of clipSpecs) args.push('-i', c.path.replace(/\\/g, '/'));
+  args.push('-i', audioPath.replace(/\\/g, '/'));
+  if (logo) args.push('-i', logo.path.replace(/\\/g, '/'));
+  args.push(
+    '-filter_complex', graph,
+    '-map', '[vout]',
+    '-map', '[aout]',
+    ...(await buildVideoCodecArgs()),
+    '-c:a', 'aac',
+    '-t', audioDuration.toFixed(3),
+    '-shortest',
+    '-movflags', '+faststart',
+    '-y', outPath.replace(/\\/g, '/')
+  );
+  try {
+    await runFfmpegLogged(args, `single_${path.parse(outPath).name}`, ffmpegTimeout / 1000);
+  } finally {
+    textFiles.forEach(f => { if (fs.existsSync(f)) fs.unlinkSync(f); });
+  }
+  return { loudness };
+}
+
+// 添加向主进程发送进度的函数
+function sendProgress(current, total) {
+  if (process.send) {
+    const percentage = Math.round((current / total) * 100);
+    process.send({
+      type: 'progress',
+      message: `合成新视频进度 [${'='.repeat(Math.round(30 * current / total))}${'-'.repeat(30 - Math.round(30 * current / total))}] ${current}/${total} (${percentage}%)`
+    });
+  }
+}
+
+// 批次上下文：日志写入函数与合成记录更新函数
+function createBatchContext(batchDir) {
   // 日志文件路径和写入函数
   const logPath = path.join(batchDir, 'log.log');
   function logToFile(...args) {
@@ -657,7 +1196,8 @@ async function composeVideosWithOpen() {
   }
 
   // 每次合成成功后更新记录文件
-  function updateSynthesisLog(videoName, clips, audio) {
+  // extra: 其他需要记录的渲染参数（如转场），合并进该视频的记录
+  function updateSynthesisLog(videoName, clips, audio, extra = {}) {
     // 读取现有记录
     let logData = {};
     if (fs.existsSync(synthesisLogPath)) {
@@ -676,6 +1216,7 @@ async function composeVideosWithOpen() {
       openDir: openDir,        // 添加开头片段文件夹路径
       clipsDir: clipsDir,      // 添加片段文件夹路径
       musicDir: musicDir,      // 添加音频文件夹路径
+      ...extra,
       timestamp: new Date().toISOString()
     };
 
@@ -685,98 +1226,707 @@ async function composeVideosWithOpen() {
     logToFile(`已更新合成记录: ${synthesisLogPath}`);
   }
 
+  return { logToFile, updateSynthesisLog };
+}
+
+function readJsonSafe(filePath) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    console.error(`读取 ${path.basename(filePath)} 失败:`, e.message);
+  }
+  return null;
+}
+
+// 批次目录中中断残留的半成品与临时文件（相对批次目录的路径），包括各画幅子文件夹中未改名的版本
+function listPartialOutputs(batchDir) {
+  if (!fs.existsSync(batchDir)) return [];
+  const partials = [];
+  for (const ent of fs.readdirSync(batchDir, { withFileTypes: true })) {
+    if (ent.isDirectory()) {
+      if (/^job_/.test(ent.name) || ent.name === 'temp_clips') {
+        partials.push(ent.name);
+        continue;
+      }
+      for (const sub of fs.readdirSync(path.join(batchDir, ent.name), { withFileTypes: true })) {
+        if (sub.isFile() && /_temp_\d+\.mp4$/i.test(sub.name)) partials.push(path.join(ent.name, sub.name));
+      }
+    } else if (/_temp_\d+\.mp4$/i.test(ent.name)
+      || /^(temp|test|speeded|cut|out|cutted)_\d+\.mp4$/i.test(ent.name)
+      || /^(concat_list|text_).*\.txt$/i.test(ent.name)) {
+      partials.push(ent.name);
+    }
+  }
+  return partials;
+}
+
+// 查找最近一个未完成的批次：计划中有未落盘的视频、视频数未达到 numNewVideos，或有中断残留文件
+function findIncompleteBatch() {
+  if (!fs.existsSync(outputDir)) return null;
+  const latest = fs.readdirSync(outputDir, { withFileTypes: true })
+    .filter(ent => ent.isDirectory() && /^\d{8}_\d{4}$/.test(ent.name))
+    .map(ent => ent.name)
+    .sort()
+    .pop();
+  if (!latest) return null;
+  const batchDir = path.join(outputDir, latest);
+  const plan = readJsonSafe(path.join(batchDir, 'render_plan.json'));
+  const doneLog = readJsonSafe(path.join(batchDir, 'synthesis_log.json'));
+  if (!plan && !doneLog) return null;
+  const planVideos = plan && Array.isArray(plan.videos) ? plan.videos : [];
+  // 质量检查未通过的视频不占用名额
+  const rejected = planVideos.filter(v => isRejectedOutput(batchDir, v.output)).length;
+  const consumed = planVideos.length > 0 ? planVideos.length - rejected : Object.keys(doneLog || {}).length;
+  const missing = planVideos.some(v => !fs.existsSync(path.join(batchDir, v.output)) && !isRejectedOutput(batchDir, v.output));
+  return (missing || consumed < numNewVideos || listPartialOutputs(batchDir).length > 0) ? batchDir : null;
+}
+
+function writeRenderPlan(planPath, plan) {
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+}
+
+// 合成记录中除片段与音频外需要记录的渲染参数；result 为 renderPlannedVideo 的返回值（响度测量值等）
+function getPlanLogExtra(item, result = {}) {
+  return {
+    transition: item.transition ? { xfade: item.transition.xfade, duration: item.transition.duration } : undefined,
+    texts: item.texts && item.texts.length > 0 ? item.texts : undefined,
+    logo: item.logo ? { file: path.basename(item.logo.path), path: item.logo.path, position: item.logo.position } : undefined,
+    clipAudio: item.clipAudio ? { volume: clipAudioCfg.volume, duck: !!(clipAudioCfg.duck && clipAudioCfg.duck.enable) } : undefined,
+    structure: item.structure || undefined,
+    // 以下为渲染参数，供 recreate_video.js 按原计划重新合成（clips 中依次为开头、正文、结尾片段）
+    openClips: item.openClips && item.openClips.length > 0 ? item.openClips.map(getClipId) : undefined,
+    timing: item.timing || undefined,
+    trims: item.trims || undefined,
+    cutLastTo: item.cutLastTo || undefined,
+    videoRates: item.videoRates || undefined,
+    clipRates: item.clipRates || undefined,
+    music: item.music || undefined,
+    seed: item.seed || undefined,
+    // 结尾片段单独记录目录与标识（clips 中也包含），供 recreate_video.js 还原
+    endDir: item.endClips && item.endClips.length > 0 ? path.dirname(item.endClips[0]) : undefined,
+    endClips: item.endClips && item.endClips.length > 0 ? item.endClips.map(getClipId) : undefined,
+    loudness: (result && result.loudness) || undefined,
+    quality: (result && result.quality) || undefined,
+    cover: (result && result.cover) || undefined,
+    // 完整的画幅参数，recreate_video.js 按记录输出相同的画幅版本
+    aspectVariants: aspectVariants.length > 0 ? aspectVariants.map(v => ({ ...v })) : undefined
+  };
+}
+
+// 质量检查未通过：成片（及各画幅版本）移入批次目录下的 _rejected，原因与检测数据写入同名 .json。
+// variantTemps 为已渲染但尚未改为正式文件名的画幅版本（画幅名 → 临时文件）
+function rejectOutput(item, batchDir, tempOutPath, check, variantTemps = new Map()) {
+  const rejectedDir = path.join(batchDir, REJECTED_DIR_NAME);
+  fs.ensureDirSync(rejectedDir);
+  fs.moveSync(tempOutPath, path.join(rejectedDir, item.output), { overwrite: true });
+  for (const variant of aspectVariants) {
+    const variantPath = variantTemps.get(variant.name) || path.join(batchDir, variant.name, item.output);
+    if (fs.existsSync(variantPath)) {
+      fs.moveSync(variantPath, path.join(rejectedDir, variant.name, item.output), { overwrite: true });
+    }
+  }
+  fs.writeFileSync(path.join(rejectedDir, item.output.replace(/\.mp4$/i, '.json')), JSON.stringify({
+    output: item.output,
+    reasons: check.reasons,
+    stats: check.stats,
+    audio: path.basename(item.audio),
+    clips: (item.openClips || []).concat(item.clips, item.endClips || []).map(getClipId),
+    timestamp: new Date().toISOString()
+  }, null, 2));
+}
+
+function isRejectedOutput(batchDir, output) {
+  return fs.existsSync(path.join(batchDir, REJECTED_DIR_NAME, output));
+}
+
+// 按渲染计划中的一项合成视频：先以临时名输出，成功后改为正式文件名。
+// 每个视频使用独立的临时目录，避免并行任务的中间文件互相覆盖。返回 { loudness, quality, cover }；
+// 质量检查未通过时抛出带 rejected 标记的错误。
+// opt.recreate 为还原已有视频（recreate_video.js）：不做质量检查、不更新当日序号状态，
+// 画幅版本与封面按合成记录（opt.aspectVariants / opt.cover）输出，不读取当前配置
+async function renderPlannedVideo(item, batchDir, label, logToFile, progressCb, opt = {}) {
+  const variants = opt.recreate ? (opt.aspectVariants || []) : aspectVariants;
+  const gateEnabled = qualityGateEnabled && !opt.recreate;
+  const cover = opt.recreate
+    ? (opt.cover ? { time: opt.cover.time, title: opt.cover.title } : null)
+    : (coverEnabled ? { title: item.coverTitle } : null);
+  const outPath = path.join(batchDir, item.output);
+  const tempOutPath = path.join(batchDir, item.output.replace(/_(\d+)\.mp4$/i, '_temp_$1.mp4'));
+  const jobDir = path.join(batchDir, `job_${path.parse(item.output).name}`);
+  const openClips = item.openClips || [];
+  const videoRates = item.videoRates || [1.0];
+  let selectedClips = openClips.concat(item.clips, item.endClips || []);
+  let result = {};
+  const tempVariantPaths = new Map(); // 画幅名 → 已渲染、待改名的临时文件
+  try {
+    await fs.ensureDir(jobDir);
+    // 新增：最小分辨率自动放大处理（合成记录中的片段标识仍基于原文件名）
+    if (resizeMinWidth && resizeMinHeight) {
+      const resizeCacheDir = path.join(clipsDir, '_resized_clips');
+      for (let i = 0; i < selectedClips.length; i++) {
+        const c = selectedClips[i];
+        const rPath = await ensureMinResolution(c, resizeCacheDir, resizeMinWidth, resizeMinHeight);
+        if (rPath !== c) {
+          progressCb && progressCb(`放大 ${path.basename(c)} -> ${path.basename(rPath)}`);
+          selectedClips[i] = rPath;
+        }
+      }
+    }
+    const renderOpts = { transition: item.transition, texts: item.texts, logo: item.logo, clipAudio: !!item.clipAudio, music: item.music };
+    // 多步流程中间文件不带音轨，保留原声时固定使用单次合成
+    const useSinglePass = singlePassRender || item.clipAudio;
+    let clipSpecs = null;
+    if (useSinglePass) {
+      // 卡点裁剪与最后片段裁剪都在滤镜图中完成，无需预先生成裁剪片段
+      clipSpecs = selectedClips.map((p, i) => ({
+        path: p,
+        trim: item.trims && i >= openClips.length ? item.trims[i - openClips.length] : undefined,
+        rate: item.clipRates && i >= openClips.length ? item.clipRates[i - openClips.length] : undefined
+      }));
+      if (item.cutLastTo) clipSpecs[clipSpecs.length - 1].trim = item.cutLastTo;
+      console.log(`${label}选中的片段:`, selectedClips.map(f => path.basename(f)));
+      logToFile(`${label}选中的片段:`, selectedClips.map(f => path.basename(f)));
+    } else {
+      // 卡点模式：将正文片段裁剪到切点长度（输出到本任务临时目录）
+      if (item.trims) {
+        for (let i = 0; i < item.trims.length; i++) {
+          const c = selectedClips[openClips.length + i];
+          const dur = await getClipDuration(c);
+          if (dur - item.trims[i] < 0.02) continue; // 与原长几乎一致，无需裁剪
+          selectedClips[openClips.length + i] = await trimClipTo(c, item.trims[i], jobDir);
+        }
+      }
+      if (item.cutLastTo) selectedClips.cutLastTo = item.cutLastTo;
+      // 逐片段变速：在裁剪之后对正文片段变速（同样输出到本任务临时目录）
+      if (item.clipRates) {
+        for (let i = 0; i < item.clipRates.length; i++) {
+          if (item.clipRates[i] === 1) continue;
+          selectedClips[openClips.length + i] = await speedClipTo(selectedClips[openClips.length + i], item.clipRates[i], jobDir);
+        }
+      }
+      // 检查选中的片段文件
+      console.log(`${label}选中的片段:`, selectedClips.map(f => path.basename(f)));
+      logToFile(`${label}选中的片段:`, selectedClips.map(f => path.basename(f)));
+
+      // 先尝试简单的拼接测试
+      try {
+        const testTempPath = path.join(jobDir, `test_${Date.now()}.mp4`);
+        await concatClips(selectedClips, testTempPath, jobDir);
+        console.log(`${label}基础拼接测试成功`);
+        logToFile(`${label}基础拼接测试成功`);
+        // 删除测试文件
+        if (fs.existsSync(testTempPath)) {
+          fs.unlinkSync(testTempPath);
+        }
+      } catch (testError) {
+        console.error(`${label}基础拼接测试失败:`, testError.message);
+        logToFile(`${label}基础拼接测试失败:`, testError.message);
+        throw testError;
+      }
+    }
+    const renderTo = (dest, opts) => (useSinglePass
+      ? renderSinglePass(clipSpecs, item.audio, dest, jobDir, videoRates, progressCb, opts)
+      : concatClipsWithAudio(selectedClips, item.audio, dest, jobDir, 1.0, videoRates, progressCb, opts));
+
+    const expected = gateEnabled
+      ? (item.timing ? item.timing.audio : (item.music ? item.music.duration : await getMediaDuration(item.audio)))
+      : null;
+    const reject = check => {
+      rejectOutput(item, batchDir, tempOutPath, check, tempVariantPaths);
+      tempVariantPaths.clear();
+      throw Object.assign(new Error(`质量检查未通过，已移入 ${REJECTED_DIR_NAME}: ${check.reasons.join('；')}`), { rejected: true });
+    };
+    // 先渲染并检查主视频，通过后才渲染画幅版本，未通过时不浪费各版本的渲染
+    result = (await renderTo(tempOutPath, renderOpts)) || {};
+    if (gateEnabled) {
+      const check = await checkVideoQuality(tempOutPath, expected, qualityGateCfg);
+      if (!check.ok) reject(check);
+      result.quality = check.stats;
+    }
+    for (const variant of variants) {
+      const variantDir = path.join(batchDir, variant.name);
+      if (fs.existsSync(path.join(variantDir, item.output))) continue;
+      await fs.ensureDir(variantDir);
+      const tempVariantPath = path.join(variantDir, path.basename(tempOutPath));
+      tempVariantPaths.set(variant.name, tempVariantPath);
+      console.log(`${label}输出画幅版本 ${variant.name}（${variant.mode}）`);
+      logToFile(`${label}输出画幅版本 ${variant.name}（${variant.mode}）`);
+      await renderTo(tempVariantPath, { ...renderOpts, aspect: variant });
+      if (gateEnabled) {
+        // 任一画幅版本未通过时整项移入 _rejected，避免黑屏、静音的版本流出
+        const check = await checkVideoQuality(tempVariantPath, expected, qualityGateCfg);
+        if (!check.ok) reject({ ...check, reasons: check.reasons.map(r => `[${variant.name}] ${r}`) });
+      }
+    }
+    // 画幅版本先于主视频改为正式文件名：主视频存在即表示该项（含各版本）已完成，--resume 时不会重复渲染
+    for (const [name, tempVariantPath] of tempVariantPaths) {
+      fs.renameSync(tempVariantPath, path.join(batchDir, name, item.output));
+    }
+    tempVariantPaths.clear();
+    fs.renameSync(tempOutPath, outPath);
+    if (cover) {
+      // 封面失败不影响成片
+      try {
+        // 单次合成时裁剪与片段变速在滤镜图中完成；多步流程的片段已预先裁剪、变速
+        const hook = useSinglePass ? clipSpecs[0] : { path: selectedClips[0] };
+        const hookDuration = (hook.trim || await getClipDuration(hook.path)) / (hook.rate || 1) / videoRates[0];
+        result.cover = await generateCover(outPath, { hookDuration, time: cover.time, title: cover.title, workDir: jobDir }, {
+          ...coverCfg,
+          title: { fontFile: textOverlayCfg.fontFile, ...coverTitleCfg }
+        });
+        console.log(`${label}封面已生成: ${result.cover.file}（${result.cover.time}s）`);
+        logToFile(`${label}封面已生成: ${result.cover.file}（${result.cover.time}s）`);
+        // 画幅版本各自生成封面，使用与主视频相同的封面帧时间点
+        const coverVariants = [];
+        for (const variant of variants) {
+          const variantPath = path.join(batchDir, variant.name, item.output);
+          if (!fs.existsSync(variantPath)) continue;
+          await generateCover(variantPath, { hookDuration, time: result.cover.time, title: cover.title, workDir: jobDir }, {
+            ...coverCfg,
+            title: { fontFile: textOverlayCfg.fontFile, ...coverTitleCfg }
+          });
+          coverVariants.push(variant.name);
+        }
+        if (coverVariants.length > 0) result.cover.variants = coverVariants;
+      } catch (e) {
+        console.error(`${label}封面生成失败:`, e.message);
+        logToFile(`${label}封面生成失败:`, e.message);
+      }
+    }
+    // 成功后更新当日最大序号状态，防止后续因删除导致回退
+    const m = item.output.match(/_(\d{8})_(\d+)\.mp4$/i);
+    if (m && !opt.recreate) {
+      try { writeLastIndex(outputDir, videoNamePrefix, m[1], parseInt(m[2], 10)); } catch (_) { }
+    }
+    return result;
+  } catch (error) {
+    // 清理临时文件
+    for (const tempVariantPath of tempVariantPaths.values()) {
+      if (fs.existsSync(tempVariantPath)) try { fs.unlinkSync(tempVariantPath); } catch (_) { }
+    }
+    if (fs.existsSync(tempOutPath)) {
+      try {
+        fs.unlinkSync(tempOutPath);
+      } catch (e) {
+        console.error('清理临时文件失败:', e.message);
+        logToFile('清理临时文件失败:', e.message);
+      }
+    }
+    throw error;
+  } finally {
+    try { fs.removeSync(jobDir); } catch (e) { console.error('清理任务临时目录失败:', e.message); }
+  }
+}
+
+// resumeDir: 继续一个未完成的批次（见 --resume），为空时新建批次
+async function composeVideosWithOpen(planOnly = false, resumeDir = null, seedArg = null) {
+  await fs.ensureDir(outputDir);
+  // 生成本次批量的子文件夹名
+  const now = new Date();
+  const pad = n => n.toString().padStart(2, '0');
+  const folderName = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}`;
+  const batchDir = resumeDir || path.join(outputDir, folderName);
+  await fs.ensureDir(batchDir);
+  const { logToFile, updateSynthesisLog } = createBatchContext(batchDir);
+  // 渲染计划文件：本批次每个视频的选片与渲染参数
+  const renderPlanPath = path.join(batchDir, 'render_plan.json');
+  let renderPlan = { createdAt: new Date().toISOString(), videos: [] };
+  if (resumeDir) {
+    const existingPlan = readJsonSafe(renderPlanPath);
+    if (existingPlan && Array.isArray(existingPlan.videos)) renderPlan = existingPlan;
+    // 中断时残留的半成品与临时文件全部清理，对应的视频会重新渲染
+    const partials = listPartialOutputs(batchDir);
+    for (const f of partials) {
+      try { fs.removeSync(path.join(batchDir, f)); } catch (e) { console.error('清理残留文件失败:', f, e.message); }
+    }
+    console.log(`继续未完成的批次: ${batchDir}，已清理残留文件 ${partials.length} 个`);
+    logToFile(`继续未完成的批次: ${batchDir}，已清理残留文件 ${partials.length} 个`);
+  }
+  // 继续批次时沿用渲染计划中的种子；选片开始前再恢复到中断时的随机序列位置（rngState）
+  const seed = setSeed(seedArg ?? renderPlan.seed ?? configSeed ?? createSeed());
+  renderPlan.seed = seed;
+  console.log(`随机种子: ${seed}（使用 --seed ${seed} 可复现本批次的选片）`);
+  logToFile(`随机种子: ${seed}`);
+  const tempClipsDir = path.join(batchDir, 'temp_clips');
+  await fs.ensureDir(tempClipsDir);
+
   // 记录所有视频的片段标识
   const allVideoIdsObj = {};
   let successCount = 0;
-  let tryIndex = 0;
   let totalRetry = 0;
   // 记录每个视频合成耗时
   const videoTimes = [];
   // 进度条定义
   const concatBar = new ProgressBar('合成新视频进度 [:bar] :current/:total', { total: numNewVideos, width: 30 });
 
-  // 添加向主进程发送进度的函数
-  const sendProgress = (current, total) => {
-    if (process.send) {
-      const percentage = Math.round((current / total) * 100);
-      process.send({
-        type: 'progress',
-        message: `合成新视频进度 [${'='.repeat(Math.round(30 * current / total))}${'-'.repeat(30 - Math.round(30 * current / total))}] ${current}/${total} (${percentage}%)`
-      });
+  // 结构模板模式下同时读取类别子文件夹中的片段
+  const clipCategories = structureEnabled
+    ? loadClipCategories(clipsDir, path.join(clipsDir, structureCfg.tagFile || 'clip_tags.yaml'))
+    : null;
+  const allClips = clipCategories
+    ? clipCategories.files
+    : fs.readdirSync(clipsDir).filter(f => /\.mp4$/i.test(f)).sort().map(f => path.join(clipsDir, f));
+  if (clipCategories) {
+    const counts = structureSlots.map(slot => `${slot.category || '*'}:${slot.category
+      ? allClips.filter(f => clipCategories.categories.has(f) && clipCategories.categories.get(f).has(slot.category)).length
+      : allClips.length}`);
+    console.log(`结构模板 ${structureSlots.length} 个槽位，各类别片段数 ${counts.join(' ')}`);
+    logToFile(`结构模板 ${structureSlots.length} 个槽位，各类别片段数 ${counts.join(' ')}`);
+    if (beatSyncEnabled) {
+      console.log('已启用结构模板，卡点模式不生效');
+      logToFile('已启用结构模板，卡点模式不生效');
     }
-  };
-
-  const allClips = fs.readdirSync(clipsDir).filter(f => /\.mp4$/i.test(f)).map(f => path.join(clipsDir, f));
+  } else if (beatSyncEnabled && musicFitMode === 'music') {
+    console.log('音乐对齐画面（musicFit.mode: music）时卡点模式不生效');
+    logToFile('音乐对齐画面（musicFit.mode: music）时卡点模式不生效');
+  }
+  // 预先并行探测全部片段，选片重试时直接命中缓存
+  await probeMany(allClips);
   const musicFiles = getMusicFiles();
   const openFiles = fs.existsSync(openDir)
-    ? fs.readdirSync(openDir).filter(f => /\.mp4$/i.test(f)).map(f => path.join(openDir, f))
+    ? fs.readdirSync(openDir).filter(f => /\.mp4$/i.test(f)).sort().map(f => path.join(openDir, f))
     : [];
   let openAssign = [];
+  // 随机选择openClipsCount个开头片段
+  function pickOpenClips() {
+    const selectedOpenClips = [];
+    for (let j = 0; j < openClipsCount; j++) {
+      const randomIndex = randomInt(openFiles.length);
+      selectedOpenClips.push(openFiles[randomIndex]);
+    }
+    return selectedOpenClips;
+  }
   if (openFiles.length > 0 && openClipsCount > 0) {
     // 如果配置了openClipsCount且openDir中有文件，则为每个视频选择指定数量的开头片段
     for (let i = 0; i < numNewVideos; i++) {
-      // 随机选择openClipsCount个开头片段
-      const selectedOpenClips = [];
-      for (let j = 0; j < openClipsCount; j++) {
-        const randomIndex = Math.floor(Math.random() * openFiles.length);
-        selectedOpenClips.push(openFiles[randomIndex]);
-      }
-      openAssign.push(selectedOpenClips);
+      openAssign.push(pickOpenClips());
     }
   }
-  const usedOrders = new Set();
-  // 音频轮换记忆文件
+  const endFiles = (endClipsCount > 0 && fs.existsSync(endDir))
+    ? fs.readdirSync(endDir).filter(f => /\.mp4$/i.test(f)).sort().map(f => path.join(endDir, f))
+    : [];
+  if (endClipsCount > 0) {
+    await probeMany(endFiles);
+    console.log(endFiles.length > 0
+      ? `结尾片段 ${endFiles.length} 个，每个视频使用 ${Math.min(endClipsCount, endFiles.length)} 个（${endClipSelection}）`
+      : `结尾片段目录为空或不存在: ${endDir}`);
+    logToFile(endFiles.length > 0
+      ? `结尾片段 ${endFiles.length} 个，每个视频使用 ${Math.min(endClipsCount, endFiles.length)} 个（${endClipSelection}）`
+      : `结尾片段目录为空或不存在: ${endDir}`);
+  }
+  // 片段使用次数：clipUsage 含历史批次，用于排序；batchClipUsage 仅统计本批次，用于 maxReuse 上限
+  const clipUsage = new Map();
+  const batchClipUsage = new Map();
+  const needUsageHistory = clipSelectStrategy === 'leastUsed' && countHistoryUsage;
+  const historyRecords = (needUsageHistory || overlapHistory) ? loadSynthesisRecords(outputDir) : [];
+  if (needUsageHistory) {
+    for (const [id, n] of countClipUsage(historyRecords, clipsDir)) clipUsage.set(id, n);
+    const sameDirCount = historyRecords.filter(rec => isSameClipsDir(rec, clipsDir)).length;
+    console.log(`已加载历史合成记录 ${historyRecords.length} 条（片段目录相同 ${sameDirCount} 条），用于均衡片段使用次数`);
+    logToFile(`已加载历史合成记录 ${historyRecords.length} 条（片段目录相同 ${sameDirCount} 条），用于均衡片段使用次数`);
+  }
+  // 片段组合索引：持久化在 outputDir 下，并与历史合成记录合并，用于跨批次近似重复检测
+  const clipSetIndexPath = path.join(outputDir, 'clip_set_index.json');
+  const clipSetIndex = overlapHistory
+    ? mergeRecordsIntoIndex(loadClipSetIndex(clipSetIndexPath), historyRecords)
+    : new Map();
+  if (overlapHistory) {
+    const sameDirVideos = [...clipSetIndex.values()].filter(entry => isSameClipsDir(entry, clipsDir)).length;
+    console.log(`片段组合索引共 ${clipSetIndex.size} 个视频（片段目录相同 ${sameDirVideos} 个），近似重复阈值: ${maxClipOverlap}`);
+    logToFile(`片段组合索引共 ${clipSetIndex.size} 个视频（片段目录相同 ${sameDirVideos} 个），近似重复阈值: ${maxClipOverlap}`);
+  }
+  // 卖点文案池：优先使用 textOverlay.poolFile，否则在片段目录中查找 text_pool.yaml/csv
+  let textPool = [];
+  if (textOverlayEnabled) {
+    const poolFile = findTextPoolFile(
+      textOverlayCfg.poolFile ? path.join(__dirname, '../', textOverlayCfg.poolFile) : '',
+      clipsDir
+    );
+    if (poolFile) textPool = loadTextPool(poolFile);
+    console.log(poolFile ? `已加载文案池 ${poolFile}，共 ${textPool.length} 条` : '未找到文案池文件，跳过文案叠加');
+    logToFile(poolFile ? `已加载文案池 ${poolFile}，共 ${textPool.length} 条` : '未找到文案池文件，跳过文案叠加');
+  }
+  // 封面标题池：cover.title.poolFile，未配置时在片段目录中查找 cover_titles.yaml / .csv / .txt
+  let coverTitlePool = [];
+  if (coverEnabled && coverTitleCfg.enable) {
+    const titlePoolFile = coverTitleCfg.poolFile
+      ? findTextPoolFile(path.join(__dirname, '../', coverTitleCfg.poolFile), clipsDir)
+      : ['cover_titles.yaml', 'cover_titles.csv', 'cover_titles.txt'].map(f => path.join(clipsDir, f)).find(f => fs.existsSync(f));
+    if (titlePoolFile) coverTitlePool = loadTextPool(titlePoolFile);
+    console.log(titlePoolFile ? `已加载封面标题池 ${titlePoolFile}，共 ${coverTitlePool.length} 条` : '未找到封面标题池文件，封面不叠加标题');
+    logToFile(titlePoolFile ? `已加载封面标题池 ${titlePoolFile}，共 ${coverTitlePool.length} 条` : '未找到封面标题池文件，封面不叠加标题');
+  }
+  if (keepClipAudio) {
+    console.log(`片段目录已开启保留原声，原声音量: ${clipAudioCfg.volume ?? 0.3}，使用单次合成`);
+    logToFile(`片段目录已开启保留原声，原声音量: ${clipAudioCfg.volume ?? 0.3}，使用单次合成`);
+  }
+  // 音频选择：使用记录按音乐目录保存（audio_usage.json），跨批次、跨产品共享
+  let rotationStart = 0;
   const lastMusicIdxPath = path.join(outputDir, 'last_music_idx.json');
-  let lastMusicIdx = 0;
-  let lastInputDir = '';
-  let lastMusicDir = '';
-  if (fs.existsSync(lastMusicIdxPath)) {
-    try {
-      const lastData = JSON.parse(fs.readFileSync(lastMusicIdxPath, 'utf8'));
-      lastInputDir = lastData.inputDir;
-      lastMusicDir = lastData.musicDir;
-      if (lastInputDir === config.inputDir && lastMusicDir === config.musicDir) {
-        lastMusicIdx = (lastData.lastMusicIdx || 0) + 1;
-      } else {
-        lastMusicIdx = 0;
+  if (!fs.existsSync(path.join(musicDir, 'audio_usage.json')) && fs.existsSync(lastMusicIdxPath)) {
+    // 兼容旧版轮换记录：首次使用时从上次的位置继续
+    const lastData = readJsonSafe(lastMusicIdxPath) || {};
+    if (lastData.musicDir === config.musicDir) rotationStart = (lastData.lastMusicIdx || 0) + 1;
+  }
+  const audioSelector = createAudioSelector({
+    files: musicFiles,
+    usageDir: musicDir,
+    strategy: audioSelectionCfg.strategy,
+    weightFile: path.join(musicDir, audioSelectionCfg.weightFile || 'audio_weights.yaml'),
+    rotationStart
+  });
+  console.log(`音频选择策略: ${audioSelector.strategy}，可选音频 ${musicFiles.length} 个`);
+  logToFile(`音频选择策略: ${audioSelector.strategy}，可选音频 ${musicFiles.length} 个`);
+  // 并行渲染：正在进行的渲染任务，以及本批次已预留的视频序号（按日期）
+  const runningJobs = new Set();
+  // 质量检查未通过的视频数：每有一个就多生成一个补位视频，补位总数不超过 qualityGate.maxReplacements
+  let rejectedCount = 0;
+  const maxReplacements = Number.isFinite(qualityGateCfg.maxReplacements) ? qualityGateCfg.maxReplacements : numNewVideos;
+  const targetCount = () => numNewVideos + Math.min(rejectedCount, maxReplacements);
+  // 渲染失败的视频：渲染任务结束时只记入队列，由选片循环在固定时机统一处理（回退使用次数、补位），
+  // 使随机序列与使用次数的变化不受渲染完成先后的影响，相同种子得到相同的渲染计划
+  const renderFailures = [];
+  function applyRenderFailures() {
+    for (const { idList, outFileName, rejected } of renderFailures.splice(0)) {
+      for (const id of idList) {
+        clipUsage.set(id, clipUsage.get(id) - 1);
+        batchClipUsage.set(id, batchClipUsage.get(id) - 1);
       }
-    } catch (e) {
-      lastMusicIdx = 0;
+      clipSetIndex.delete(outFileName);
+      if (rejected) addReplacementSlot();
     }
   }
-  let musicStartIdx = lastMusicIdx % musicFiles.length;
-  while (successCount < numNewVideos) {
+  // 选片目标已达到时，等待进行中的渲染结束：期间有视频被质量检查拒绝则继续选片补位
+  async function needMoreVideos() {
+    if (successCount < targetCount()) return true;
+    if (!qualityGateEnabled || planOnly) return false;
+    await Promise.all(runningJobs);
+    applyRenderFailures();
+    return successCount < targetCount();
+  }
+  // 补位视频需要的开头片段
+  function addReplacementSlot() {
+    rejectedCount++;
+    if (rejectedCount > maxReplacements) {
+      console.log(`质量检查未通过的视频已达 ${rejectedCount} 个，超过补位上限 ${maxReplacements}，不再补位`);
+      logToFile(`质量检查未通过的视频已达 ${rejectedCount} 个，超过补位上限 ${maxReplacements}，不再补位`);
+      return;
+    }
+    if (openAssign.length > 0) openAssign.push(pickOpenClips());
+  }
+  const reservedVideoIdx = new Map();
+  // 继续批次：沿用原批次已占用的视频位置，计划中未落盘的视频重新渲染
+  let pendingItems = [];
+  if (resumeDir) {
+    const doneLog = readJsonSafe(path.join(batchDir, 'synthesis_log.json')) || {};
+    // 旧批次没有渲染计划时，只能按已成功的视频数推算（中断前失败的视频不计入）
+    successCount = Number.isFinite(renderPlan.nextSlot) ? renderPlan.nextSlot
+      : (renderPlan.videos.length > 0 ? renderPlan.videos.length : Object.keys(doneLog).length);
+    for (const rec of Object.values(doneLog)) {
+      for (const id of (rec.clips || [])) batchClipUsage.set(id, (batchClipUsage.get(id) || 0) + 1);
+    }
+    renderPlan.videos.forEach((item, i) => {
+      const m = item.output.match(/_(\d{8})_(\d+)\.mp4$/i);
+      if (m) reservedVideoIdx.set(m[1], Math.max(reservedVideoIdx.get(m[1]) || 0, parseInt(m[2], 10)));
+      if (isRejectedOutput(batchDir, item.output)) addReplacementSlot();
+      else if (!fs.existsSync(path.join(batchDir, item.output))) pendingItems.push({ item, videoNo: i + 1 });
+    });
+    console.log(`批次已完成 ${Object.keys(doneLog).length} 个视频，计划中待重新渲染 ${pendingItems.length} 个，继续生成至 ${numNewVideos} 个`);
+    logToFile(`批次已完成 ${Object.keys(doneLog).length} 个视频，计划中待重新渲染 ${pendingItems.length} 个，继续生成至 ${numNewVideos} 个`);
+  }
+
+  // 渲染一个计划项：渲染前即计入使用次数与组合索引，使并行时后续视频的选片能避开正在渲染的组合；渲染失败时回退
+  async function dispatchRender(planItem, videoNo, startTime) {
+    const outFileName = planItem.output;
+    const idList = (planItem.openClips || []).concat(planItem.clips, planItem.endClips || []).map(getClipId);
+    const musicName = path.basename(planItem.audio);
+    for (const id of idList) {
+      clipUsage.set(id, (clipUsage.get(id) || 0) + 1);
+      batchClipUsage.set(id, (batchClipUsage.get(id) || 0) + 1);
+    }
+    clipSetIndex.set(outFileName, makeIndexEntry(idList, clipsDir));
+    if (planOnly) return;
+
+    const renderJob = async () => {
+      try {
+        const result = await renderPlannedVideo(planItem, batchDir, `第${videoNo}个视频`, logToFile,
+          msg => concatBar.interrupt(`第${videoNo}个视频 ${msg}`));
+        const cost = ((Date.now() - startTime) / 1000).toFixed(2);
+        videoTimes.push({
+          index: videoNo,
+          file: outFileName,
+          time: cost
+        });
+        concatBar.interrupt(`第${videoNo}个视频合成完成: ${outFileName}，耗时${cost}秒`);
+        logToFile(`第${videoNo}个视频合成完成: ${outFileName}，耗时${cost}秒`);
+        // 记录到对象
+        allVideoIdsObj[outFileName] = { ids: idList, music: musicName };
+
+        // 更新合成记录（同步读写，并行任务之间不会交错）
+        updateSynthesisLog(outFileName, idList, musicName, getPlanLogExtra(planItem, result));
+        // 渲染成功后才计入音频使用记录
+        audioSelector.commit(musicName);
+        // 未启用历史比较时索引只含本批次，不能覆盖已持久化的索引文件
+        if (overlapHistory) {
+          try { saveClipSetIndex(clipSetIndexPath, clipSetIndex); } catch (e) { console.error('写入片段组合索引失败:', e.message); }
+        }
+      } catch (error) {
+        console.error(`第${videoNo}个视频合成失败:`, error.message);
+        logToFile(`第${videoNo}个视频合成失败:`, error.message);
+        // 预先计入的使用次数与组合索引留待选片循环回退（见 applyRenderFailures）
+        renderFailures.push({ idList, outFileName, rejected: !!error.rejected });
+      }
+    };
+
+    // 渲染任务放入任务池，达到并发上限时等待任意一个完成后再继续
+    const job = renderJob().finally(() => runningJobs.delete(job));
+    runningJobs.add(job);
+    if (runningJobs.size >= concurrency) {
+      await Promise.race(runningJobs);
+    }
+  }
+
+  for (const { item, videoNo } of pendingItems) {
+    await dispatchRender(item, videoNo, Date.now());
+  }
+  // 当前视频位置的音频：选片失败重试时沿用，位置被占用（成功或跳过）后再选下一首
+  let slotAudio = null;
+  // 从最后一个计划项之后的随机序列位置继续，继续生成的视频与不中断时相同
+  if (resumeDir && Number.isFinite(renderPlan.rngState)) setState(renderPlan.rngState);
+  while (await needMoreVideos()) {
     const startTime = Date.now();
     concatBar.tick(); // 每次开始处理一个新视频就刷新进度条
 
     // 发送进度更新到主进程
-    sendProgress(successCount + 1, numNewVideos);
+    sendProgress(Math.min(successCount + 1, numNewVideos), numNewVideos);
 
-    // 1. 选音频：从预筛选的音频目录中选择
-    let audioPath = null;
+    // 1. 选音频：从预筛选的音频目录中按选择策略选择
+    if (!slotAudio) slotAudio = audioSelector.next();
+    const audioName = slotAudio;
+    const audioPath = path.join(actualMusicDir, audioName);
     let audioDuration = 0;
-    let audioIdx = 0;
-
-    // 计算音频索引
-    audioIdx = (musicStartIdx + successCount) % musicFiles.length;
-    audioPath = path.join(actualMusicDir, musicFiles[audioIdx]);
 
     // 检查音频文件是否存在
     if (!fs.existsSync(audioPath)) {
       console.error(`音频文件不存在: ${audioPath}`);
       logToFile(`音频文件不存在: ${audioPath}`);
       successCount++;
+      slotAudio = null;
       continue;
     }
 
     // 获取音频时长
     audioDuration = await getAudioDuration(audioPath);
-    console.log(`正在生成第${successCount + 1}个视频，使用音频: ${musicFiles[audioIdx]}，时长: ${audioDuration.toFixed(2)}s`);
-    logToFile(`正在生成第${successCount + 1}个视频，使用音频: ${musicFiles[audioIdx]}，时长: ${audioDuration.toFixed(2)}s`);
+    console.log(`正在生成第${successCount + 1}个视频，使用音频: ${audioName}，时长: ${audioDuration.toFixed(2)}s`);
+    logToFile(`正在生成第${successCount + 1}个视频，使用音频: ${audioName}，时长: ${audioDuration.toFixed(2)}s`);
+    // 音乐对齐画面：在成片时长范围内随机一个目标时长，按该时长选片，此后 audioDuration 表示成片时长
+    const trackDuration = audioDuration;
+    let musicRange = null;
+    if (musicFitMode === 'music') {
+      musicRange = getMusicVideoRange(trackDuration, musicFitCfg);
+      if (!musicRange) {
+        console.log(`第${successCount + 1}个视频的音乐可用时长不足成片最短时长 ${musicFitCfg.minDuration ?? 15}s，已跳过。`);
+        logToFile(`第${successCount + 1}个视频的音乐可用时长不足成片最短时长 ${musicFitCfg.minDuration ?? 15}s，已跳过。`);
+        successCount++;
+        slotAudio = null;
+        continue;
+      }
+      audioDuration = musicRange.min + random() * (musicRange.max - musicRange.min);
+      console.log(`音乐对齐画面：成片时长范围 ${musicRange.min.toFixed(2)}~${musicRange.max.toFixed(2)}s，目标 ${audioDuration.toFixed(2)}s`);
+      logToFile(`音乐对齐画面：成片时长范围 ${musicRange.min.toFixed(2)}~${musicRange.max.toFixed(2)}s，目标 ${audioDuration.toFixed(2)}s`);
+    }
     // 2. 精确选片段
-    let selectedClips = [], selectedDur = 0, order, videoRates;
+    let selectedClips = [], selectedDur = 0, videoRates;
     let tryCount = 0;
     let found = false;
+    let tooSimilar = false;
+    const openIds = (openAssign[successCount] ? [].concat(openAssign[successCount]) : []).map(getClipId);
+    // 结尾片段：正文需要铺满的时长为音频时长减去结尾片段时长（启用转场时每个结尾片段与前一个片段重叠）
+    const endClips = pickEndClips(endFiles, endClipsCount, successCount, clipUsage);
+    const endIds = endClips.map(getClipId);
+    let endDur = 0;
+    for (const f of endClips) endDur += await getClipDuration(f);
+    endDur -= endClips.length * transitionOverlap;
+    const fillTarget = audioDuration - endDur;
+    if (endClips.length > 0) {
+      console.log(`结尾片段: ${endIds.join(', ')}，时长: ${endDur.toFixed(2)}s，正文需铺满: ${fillTarget.toFixed(2)}s`);
+      logToFile(`结尾片段: ${endIds.join(', ')}，时长: ${endDur.toFixed(2)}s，正文需铺满: ${fillTarget.toFixed(2)}s`);
+    }
+    // 卡点模式：检测节拍，并计算开头片段总时长（正文从开头片段结束处开始对齐节拍）
+    // 时长预算：先计算开头片段（及结尾片段）的时长，正文只需铺满剩余时长；
+    // 启用转场时，开头片段之间的重叠计入开头时长；开头与正文之间的重叠由第一个正文片段承担（计入正文时长）
+    const openList = openAssign[successCount] ? [].concat(openAssign[successCount]) : [];
+    let openDur = 0;
+    for (const f of openList) {
+      openDur += await getClipDuration(f);
+    }
+    openDur -= Math.max(0, openList.length - 1) * transitionOverlap;
+    const bodyTarget = fillTarget - openDur;
+    console.log(`时长预算: 音频 ${audioDuration.toFixed(2)}s = 开头 ${openDur.toFixed(2)}s + 正文 ${bodyTarget.toFixed(2)}s + 结尾 ${endDur.toFixed(2)}s`);
+    logToFile(`时长预算: 音频 ${audioDuration.toFixed(2)}s = 开头 ${openDur.toFixed(2)}s + 正文 ${bodyTarget.toFixed(2)}s + 结尾 ${endDur.toFixed(2)}s`);
+    if (bodyTarget < minClipDuration) {
+      console.log(`第${successCount + 1}个视频开头与结尾片段已占满音频，正文时长不足 ${minClipDuration}s，已跳过。`);
+      logToFile(`第${successCount + 1}个视频开头与结尾片段已占满音频，正文时长不足 ${minClipDuration}s，已跳过。`);
+      successCount++;
+      slotAudio = null;
+      continue;
+    }
+    // 卡点模式：检测节拍（正文从开头片段结束处开始对齐节拍）
+    let beats = [];
+    if (beatSyncEnabled && !structureEnabled && !musicRange) {
+      try {
+        beats = await getAudioBeats(audioPath);
+      } catch (e) {
+        console.error('节拍检测失败:', e.message);
+        logToFile('节拍检测失败:', e.message);
+      }
+      console.log(`检测到节拍 ${beats.length} 个`);
+      logToFile(`检测到节拍 ${beats.length} 个`);
+    }
+    // 音频时长不在模板各槽位时长范围之和内时，无论怎么选片都无法匹配，跳过该音频
+    if (structureEnabled && !allocateSlotDurations(structureSlots, bodyTarget)) {
+      const minSum = structureSlots.reduce((a, x) => a + x.min, 0);
+      const maxSum = structureSlots.reduce((a, x) => a + x.max, 0);
+      console.log(`第${successCount + 1}个视频需填充 ${bodyTarget.toFixed(2)}s，超出模板时长范围 ${minSum.toFixed(2)}~${maxSum.toFixed(2)}s，已跳过。`);
+      logToFile(`第${successCount + 1}个视频需填充 ${bodyTarget.toFixed(2)}s，超出模板时长范围 ${minSum.toFixed(2)}~${maxSum.toFixed(2)}s，已跳过。`);
+      successCount++;
+      slotAudio = null;
+      continue;
+    }
+    // 精确选片：正文时长允许的范围。画面对齐音乐时超出 maxAVDiff 的部分由变速或裁剪消除；音乐对齐画面时只要成片时长在范围内
+    const isClipAllowed = f => !(maxClipReuse > 0 && (batchClipUsage.get(getClipId(f)) || 0) >= maxClipReuse);
+    const bodyWindow = musicRange
+      ? { lo: musicRange.min - openDur - endDur, hi: musicRange.max - openDur - endDur }
+      : { lo: bodyTarget - videoShorterAudioMaxDiff, hi: bodyTarget + videoLongerAudioMaxDiff };
+    if (!musicRange && speedFitStrategy === 'global') {
+      // 整体变速：画面偏短只能减速到 minVideoRate；画面偏长可加速到 maxVideoRate，或裁剪最后一个片段（不短于 minClipDuration）
+      // 逐片段变速的可调范围取决于选中的片段，不在此收窄
+      const shorterReach = Math.max(maxAVDiff, (1 - minVideoRate) * audioDuration);
+      const longerReach = Math.max(maxAVDiff, (maxVideoRate - 1) * audioDuration, maxClipDuration - minClipDuration);
+      bodyWindow.lo = bodyTarget - Math.min(videoShorterAudioMaxDiff, shorterReach);
+      bodyWindow.hi = bodyTarget + Math.min(videoLongerAudioMaxDiff, longerReach);
+    }
+    if (!structureEnabled && !(beatSyncEnabled && !musicRange)) {
+      // 不考虑来源限制与候选顺序时仍无解，说明片段池中不存在可用的组合，重试也无济于事
+      const feasible = await selectClipsExactFit(allClips, bodyWindow.lo, bodyWindow.hi, bodyTarget, openIds.length > 0, isClipAllowed, false);
+      if (!feasible) {
+        const usable = [];
+        for (const f of allClips) {
+          const dur = await getClipDuration(f);
+          if (isClipAllowed(f) && dur >= minClipDuration && dur <= maxClipDuration) usable.push(dur);
+        }
+        const usableTotal = usable.reduce((a, b) => a + b, 0);
+        console.log(`第${successCount + 1}个视频无解：片段池中没有时长组合能使正文落在 ${bodyWindow.lo.toFixed(2)}~${bodyWindow.hi.toFixed(2)}s 内` +
+          `（可用片段 ${usable.length} 个，总时长 ${usableTotal.toFixed(2)}s），已跳过。`);
+        logToFile(`第${successCount + 1}个视频无解：片段池中没有时长组合能使正文落在 ${bodyWindow.lo.toFixed(2)}~${bodyWindow.hi.toFixed(2)}s 内` +
+          `（可用片段 ${usable.length} 个，总时长 ${usableTotal.toFixed(2)}s），已跳过。`);
+        successCount++;
+        slotAudio = null;
+        continue;
+      }
+    }
+    // 正文内部的转场重叠数：有开头片段时第一个正文片段也与开头片段重叠
+    const bodyOverlaps = n => (openIds.length > 0 ? n : Math.max(0, n - 1));
     do {
       tryCount++;
       if (tryCount > 1) {
@@ -784,75 +1934,185 @@ async function composeVideosWithOpen() {
         logToFile(`第${successCount + 1}个视频第${tryCount}次重试...`);
         totalRetry++;
       }
-      const idxs = shuffle([...Array(allClips.length).keys()]);
+      const idxs = orderClipIdxsByUsage(allClips, clipUsage, tryCount);
       let tmpClips = [];
       let tmpDur = 0;
-      for (let idx of idxs) {
-        const f = allClips[idx];
-        const dur = await getClipDuration(f);
-        if (dur < minClipDuration || dur > maxClipDuration) continue;
-        if (tmpDur + dur > audioDuration + maxAVDiff) break;
-        tmpClips.push(f);
-        tmpDur += dur;
-        if (tmpDur >= audioDuration) break;
-      }
-      // 判断片段总时长与音频时长关系
-      let diff = tmpDur - audioDuration;
-      console.log(`音频时长: ${audioDuration.toFixed(2)}s, 片段总时长: ${tmpDur.toFixed(2)}s, 差值: ${diff.toFixed(2)}s`);
-      logToFile(`音频时长: ${audioDuration.toFixed(2)}s, 片段总时长: ${tmpDur.toFixed(2)}s, 差值: ${diff.toFixed(2)}s`);
-      if (diff < -maxAVDiff) {
-        if (Math.abs(diff) > videoShorterAudioMaxDiff) {
-          console.log(`片段总时长小于音频，差值大于${videoShorterAudioMaxDiff}s，继续选片段...`);
-          logToFile(`片段总时长小于音频，差值大于${videoShorterAudioMaxDiff}s，继续选片段...`);
+      if (structureEnabled) {
+        // 模板模式：按槽位顺序从对应类别取片段，槽位末尾片段裁剪到槽位时长，无需变速
+        const prevSource = openIds.length > 0 ? getClipSourceAlias(openIds[openIds.length - 1]) : null;
+        const picked = await selectClipsByTemplate(
+          idxs.map(i => allClips[i]), clipCategories.categories, structureSlots, openDur, fillTarget, prevSource,
+          f => !(maxClipReuse > 0 && (batchClipUsage.get(getClipId(f)) || 0) >= maxClipReuse)
+        );
+        if (!picked) {
+          console.log('结构模板未能按时长范围铺满音频，重新选片段...');
+          logToFile('结构模板未能按时长范围铺满音频，重新选片段...');
           continue;
-        } else {
-          // 只允许调整视频速率
-          let vRate = tmpDur / audioDuration;
-          if (vRate >= minVideoRate && vRate <= maxVideoRate) {
-            console.log(`片段总时长小于音频，差值小于${videoShorterAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
-            logToFile(`片段总时长小于音频，差值小于${videoShorterAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
-            videoRates = [vRate];
-            found = true;
+        }
+        tmpClips = picked.clips;
+        tmpClips.trimTo = picked.trims;
+        tmpClips.slots = picked.slots;
+        tmpDur = picked.trims.reduce((a, b) => a + b, 0) - bodyOverlaps(picked.trims.length) * transitionOverlap;
+        const slotDesc = picked.slots.map(x => `${x.category}(${x.clips.length}个/${x.duration.toFixed(2)}s)`).join(' → ');
+        console.log(`模板选片完成: ${slotDesc}`);
+        logToFile(`模板选片完成: ${slotDesc}`);
+        videoRates = [1.0];
+        found = true;
+      } else if (beatSyncEnabled && !musicRange) {
+        // 卡点模式：片段切点对齐节拍，最后一个片段裁到音频结尾，无需变速
+        const prevSource = openIds.length > 0 ? getClipSourceAlias(openIds[openIds.length - 1]) : null;
+        const picked = await selectClipsOnBeats(
+          idxs.map(i => allClips[i]), beats, openDur, fillTarget, prevSource,
+          f => !(maxClipReuse > 0 && (batchClipUsage.get(getClipId(f)) || 0) >= maxClipReuse)
+        );
+        if (!picked) {
+          console.log('卡点选片未能铺满音频，重新选片段...');
+          logToFile('卡点选片未能铺满音频，重新选片段...');
+          continue;
+        }
+        tmpClips = picked.clips;
+        tmpClips.trimTo = picked.trims;
+        tmpDur = picked.trims.reduce((a, b) => a + b, 0) - bodyOverlaps(picked.trims.length) * transitionOverlap;
+        console.log(`卡点选片完成，切点: ${picked.cuts.map(x => x.toFixed(2)).join(', ')}`);
+        logToFile(`卡点选片完成，切点: ${picked.cuts.map(x => x.toFixed(2)).join(', ')}`);
+        videoRates = [1.0];
+        found = true;
+      } else {
+        // 按当前候选顺序求解时长组合（每个来源只保留排在前面的几个片段）
+        const picked = await selectClipsExactFit(
+          idxs.map(i => allClips[i]), bodyWindow.lo, bodyWindow.hi, bodyTarget, openIds.length > 0, isClipAllowed
+        );
+        if (!picked) {
+          console.log('当前候选顺序下没有满足来源限制的时长组合，重新选片段...');
+          logToFile('当前候选顺序下没有满足来源限制的时长组合，重新选片段...');
+          continue;
+        }
+        tmpClips = picked.clips;
+        tmpDur = picked.duration;
+        if (avoidAdjacentSameSource && tmpClips.length > 1) {
+          const prevSource = openIds.length > 0 ? getClipSourceAlias(openIds[openIds.length - 1]) : null;
+          const arranged = arrangeAvoidingAdjacentSource(tmpClips, prevSource);
+          if (!arranged) {
+            console.log('选中片段无法排列成相邻不同来源，重新选片段...');
+            logToFile('选中片段无法排列成相邻不同来源，重新选片段...');
+            continue;
           }
+          tmpClips = arranged;
         }
-      } else if (diff > maxAVDiff) {
-        if (diff > videoLongerAudioMaxDiff) {
-          console.log(`片段总时长大于音频，差值大于${videoLongerAudioMaxDiff}s，重新选片段...`);
-          logToFile(`片段总时长大于音频，差值大于${videoLongerAudioMaxDiff}s，重新选片段...`);
+        // 判断片段总时长（含开头、结尾片段）与音频时长关系
+        const totalDur = openDur + tmpDur + endDur;
+        let diff = tmpDur - bodyTarget;
+        console.log(`音频时长: ${audioDuration.toFixed(2)}s, 片段总时长: ${totalDur.toFixed(2)}s, 差值: ${diff.toFixed(2)}s`);
+        logToFile(`音频时长: ${audioDuration.toFixed(2)}s, 片段总时长: ${totalDur.toFixed(2)}s, 差值: ${diff.toFixed(2)}s`);
+        if (musicRange && totalDur < musicRange.min) {
+          console.log(`片段总时长小于成片最短时长 ${musicRange.min.toFixed(2)}s，重新选片段...`);
+          logToFile(`片段总时长小于成片最短时长 ${musicRange.min.toFixed(2)}s，重新选片段...`);
           continue;
-        } else {
-          // 差值小于videoLongerAudioMaxDiff，调整视频速率
-          let vRate = audioDuration / tmpDur;
-          if (vRate >= minVideoRate && vRate <= maxVideoRate) {
-            console.log(`片段总时长大于音频，差值小于${videoLongerAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
-            logToFile(`片段总时长大于音频，差值小于${videoLongerAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
-            videoRates = [vRate];
-            found = true;
+        }
+        if (!musicRange && speedFitStrategy !== 'global' && Math.abs(diff) > maxAVDiff) {
+          // 逐片段变速：差值分摊到正文片段，开头、结尾片段保持原速
+          const durs = [];
+          for (const c of tmpClips) durs.push(await getClipDuration(c));
+          const rates = distributeClipRates(durs, diff, {
+            strategy: speedFitStrategy,
+            minRate: speedFitCfg.clipMinRate,
+            maxRate: speedFitCfg.clipMaxRate,
+            minDuration: minClipDuration,
+            maxDuration: maxClipDuration,
+            longestCount: speedFitCfg.longestCount
+          });
+          if (rates) {
+            const changed = rates.filter(r => r !== 1).length;
+            console.log(`逐片段变速（${speedFitStrategy}）：调整 ${changed} 个片段，速率: ${rates.map(r => r.toFixed(3)).join(', ')}`);
+            logToFile(`逐片段变速（${speedFitStrategy}）：调整 ${changed} 个片段，速率: ${rates.map(r => r.toFixed(3)).join(', ')}`);
+            tmpClips.clipRates = rates;
           } else {
-            // 只允许裁剪视频
-            let lastClipDur = await getClipDuration(tmpClips[tmpClips.length - 1]);
-            if (lastClipDur - diff >= minClipDuration) {
-              console.log(`片段总时长大于音频，速率不在区间，裁剪最后片段，裁剪后时长: ${(lastClipDur - diff).toFixed(2)}s`);
-              logToFile(`片段总时长大于音频，速率不在区间，裁剪最后片段，裁剪后时长: ${(lastClipDur - diff).toFixed(2)}s`);
-              tmpClips.cutLastTo = lastClipDur - diff;
-              videoRates = [1.0];
+            console.log(`逐片段变速（${speedFitStrategy}）无法在片段速率范围内分摊差值，改用整体变速`);
+            logToFile(`逐片段变速（${speedFitStrategy}）无法在片段速率范围内分摊差值，改用整体变速`);
+          }
+        }
+        if (musicRange) {
+          // 音乐截取到片段总时长，画面不变速、不裁剪
+          videoRates = [1.0];
+          found = true;
+        } else if (tmpClips.clipRates) {
+          tmpDur -= diff;
+          videoRates = [1.0];
+          found = true;
+        } else if (diff < -maxAVDiff) {
+          if (Math.abs(diff) > videoShorterAudioMaxDiff) {
+            console.log(`片段总时长小于音频，差值大于${videoShorterAudioMaxDiff}s，继续选片段...`);
+            logToFile(`片段总时长小于音频，差值大于${videoShorterAudioMaxDiff}s，继续选片段...`);
+            continue;
+          } else {
+            // 只允许调整视频速率
+            let vRate = totalDur / audioDuration;
+            if (vRate >= minVideoRate && vRate <= maxVideoRate) {
+              console.log(`片段总时长小于音频，差值小于${videoShorterAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
+              logToFile(`片段总时长小于音频，差值小于${videoShorterAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
+              videoRates = [vRate];
               found = true;
             }
           }
+        } else if (diff > maxAVDiff) {
+          if (diff > videoLongerAudioMaxDiff) {
+            console.log(`片段总时长大于音频，差值大于${videoLongerAudioMaxDiff}s，重新选片段...`);
+            logToFile(`片段总时长大于音频，差值大于${videoLongerAudioMaxDiff}s，重新选片段...`);
+            continue;
+          } else {
+            // 差值小于videoLongerAudioMaxDiff，调整视频速率
+            // 画面需加速（速率大于 1）才能缩短到音频时长
+            let vRate = totalDur / audioDuration;
+            if (vRate >= minVideoRate && vRate <= maxVideoRate) {
+              console.log(`片段总时长大于音频，差值小于${videoLongerAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
+              logToFile(`片段总时长大于音频，差值小于${videoLongerAudioMaxDiff}s，调整视频速率为: ${vRate.toFixed(4)}`);
+              videoRates = [vRate];
+              found = true;
+            } else {
+              // 只允许裁剪视频
+              let lastClipDur = await getClipDuration(tmpClips[tmpClips.length - 1]);
+              if (lastClipDur - diff >= minClipDuration) {
+                console.log(`片段总时长大于音频，速率不在区间，裁剪最后片段，裁剪后时长: ${(lastClipDur - diff).toFixed(2)}s`);
+                logToFile(`片段总时长大于音频，速率不在区间，裁剪最后片段，裁剪后时长: ${(lastClipDur - diff).toFixed(2)}s`);
+                if (endClips.length > 0) {
+                  // 后面还有结尾片段：改为裁剪最后一个正文片段（cutLastTo 只作用于整个视频的最后一个片段）
+                  const trims = [];
+                  for (const c of tmpClips) trims.push(await getClipDuration(c));
+                  trims[trims.length - 1] = +(lastClipDur - diff).toFixed(3);
+                  tmpClips.trimTo = trims;
+                } else {
+                  tmpClips.cutLastTo = lastClipDur - diff;
+                }
+                tmpDur -= diff;
+                videoRates = [1.0];
+                found = true;
+              }
+            }
+          }
+        } else {
+          console.log('片段总时长与音频时长差值在允许范围内，直接裁剪多余部分');
+          logToFile('片段总时长与音频时长差值在允许范围内，直接裁剪多余部分');
+          videoRates = [1.0];
+          found = true;
         }
-      } else {
-        console.log('片段总时长与音频时长差值在允许范围内，直接裁剪多余部分');
-        logToFile('片段总时长与音频时长差值在允许范围内，直接裁剪多余部分');
-        videoRates = [1.0];
-        found = true;
       }
       if (found) {
         selectedClips = tmpClips;
         selectedDur = tmpDur;
-        order = selectedClips.map(f => allClips.indexOf(f)).join(',');
+        const similar = findMostSimilar(clipSetIndex, openIds.concat(tmpClips.map(getClipId), endIds), clipsDir);
+        tooSimilar = !!similar && similar.similarity >= maxClipOverlap;
+        if (tooSimilar) {
+          console.log(`与已有视频 ${similar.videoName} 片段重合度 ${similar.similarity.toFixed(2)}，超过阈值，重新选片段...`);
+          logToFile(`与已有视频 ${similar.videoName} 片段重合度 ${similar.similarity.toFixed(2)}，超过阈值，重新选片段...`);
+        }
       }
-    } while ((!found || usedOrders.has(order)) && tryCount < 100);
-    usedOrders.add(order);
+    } while ((!found || tooSimilar) && tryCount < 100);
+    if (tooSimilar) {
+      // 宁可少生成，也不输出近似重复的视频
+      console.log(`第${successCount + 1}个视频重试 ${tryCount} 次仍与已有视频片段重合度过高（阈值 ${maxClipOverlap}）。`);
+      logToFile(`第${successCount + 1}个视频重试 ${tryCount} 次仍与已有视频片段重合度过高（阈值 ${maxClipOverlap}）。`);
+      selectedClips = [];
+    }
     if (!selectedClips || selectedClips.length === 0) {
       if (tryCount >= 100) {
         console.log(`第${successCount + 1}个视频重试已达最大次数（100），跳过。`);
@@ -860,118 +2120,96 @@ async function composeVideosWithOpen() {
       }
       console.log(`第${successCount + 1}个视频未能选出合适片段，已跳过。`);
       logToFile(`第${successCount + 1}个视频未能选出合适片段，已跳过。`);
-      tryIndex++;
+      // 与其他跳过分支一致：放弃这个名额，否则片段池饱和时会对同一名额无限重试
+      successCount++;
+      slotAudio = null;
       continue;
     }
-    // 添加open片段到selectedClips的开头
-    if (openAssign.length > 0 && openAssign[successCount]) {
-      // 如果openAssign[successCount]是数组（多个开头片段），则直接合并
-      // 否则保持原有逻辑（单个开头片段）
-      if (Array.isArray(openAssign[successCount])) {
-        selectedClips = openAssign[successCount].concat(selectedClips);
-      } else {
-        selectedClips = [openAssign[successCount]].concat(selectedClips);
-      }
-    }
-    // 新增：最小分辨率自动放大处理（保持 idList 基于原文件名）
-    const originalForIds = selectedClips.slice();
-    if (resizeMinWidth && resizeMinHeight) {
-      const resizeCacheDir = path.join(clipsDir, '_resized_clips');
-      for (let i = 0; i < selectedClips.length; i++) {
-        const c = selectedClips[i];
-        const rPath = await ensureMinResolution(c, resizeCacheDir, resizeMinWidth, resizeMinHeight);
-        if (rPath !== c) {
-          concatBar.interrupt(`第${successCount + 1}个视频 放大 ${path.basename(c)} -> ${path.basename(rPath)}`);
-          selectedClips[i] = rPath;
-        }
-      }
+    const openClips = openAssign[successCount] ? [].concat(openAssign[successCount]) : [];
+    // 音乐对齐画面：成片时长为实际选中片段的总时长，确定音乐截取起点
+    let music = null;
+    if (musicRange) {
+      audioDuration = openDur + selectedDur + endDur;
+      music = {
+        offset: pickMusicOffset(trackDuration, audioDuration, musicFitCfg),
+        duration: +audioDuration.toFixed(3),
+        fadeIn: Number.isFinite(musicFitCfg.fadeIn) ? musicFitCfg.fadeIn : 0,
+        fadeOut: Number.isFinite(musicFitCfg.fadeOut) ? musicFitCfg.fadeOut : 2
+      };
+      console.log(`音乐截取: 从 ${music.offset}s 开始，时长 ${music.duration}s，淡出 ${music.fadeOut}s`);
+      logToFile(`音乐截取: 从 ${music.offset}s 开始，时长 ${music.duration}s，淡出 ${music.fadeOut}s`);
     }
-    // 生成本视频的片段标识数组（使用原始片段名，不受放大缓存命名影响）
-    const idList = originalForIds.map(f => {
-      const base = path.parse(path.basename(f)).name;
-      if (/^[a-z]+_\d+$/.test(base)) return base;
-      return base;
-    });
+    // 本视频使用的转场（固定或随机）
+    const transition = transitionEnabled ? { ...pickTransition(transitionCfg), duration: transitionDuration } : null;
+    // 本视频的 logo 位置（固定或随机一个角）
+    const logo = logoEnabled ? { path: logoPath, position: pickLogoPosition(logoCfg) } : null;
+    // 本视频叠加的文案及显示时间段
+    const texts = textPool.length > 0
+      ? scheduleTexts(pickTexts(textPool, textOverlayCfg.count || 1), textOverlayCfg, audioDuration)
+      : [];
     // 生成输出文件名：前缀+日期（年月日）+编号
     const now = new Date();
     const y = now.getFullYear();
     const m = (now.getMonth() + 1).toString().padStart(2, '0');
     const d = now.getDate().toString().padStart(2, '0');
     const dateStr = `${y}${m}${d}`;
-    // 统计 outputDir 下当日已存在的同前缀最大序号，并结合状态文件生成下一序号（不因删除而回退）
-    const videoIdx = fs.existsSync(outputDir)
-      ? getNextVideoIndex(outputDir, videoNamePrefix, dateStr)
-      : 1;
+    // 统计 outputDir 下当日已存在的同前缀最大序号，并结合状态文件生成下一序号（不因删除而回退）；
+    // 并行渲染时前面的视频可能尚未落盘，还需跳过本批次已预留的序号
+    const videoIdx = Math.max(
+      fs.existsSync(outputDir) ? getNextVideoIndex(outputDir, videoNamePrefix, dateStr) : 1,
+      (reservedVideoIdx.get(dateStr) || 0) + 1
+    );
+    reservedVideoIdx.set(dateStr, videoIdx);
     const outFileName = `${videoNamePrefix}_${dateStr}_${videoIdx}.mp4`;
-    const outPath = path.join(batchDir, outFileName);
-    // 先用临时名合成
-    const tempOutName = `${videoNamePrefix}_${dateStr}_temp_${videoIdx}.mp4`;
-    const tempOutPath = path.join(batchDir, tempOutName);
-    try {
-      // 检查选中的片段文件
-      console.log(`第${successCount + 1}个视频选中的片段:`, selectedClips.map(f => path.basename(f)));
-      logToFile(`第${successCount + 1}个视频选中的片段:`, selectedClips.map(f => path.basename(f)));
-
-      // 先尝试简单的拼接测试
-      try {
-        const testTempPath = path.join(batchDir, `test_${Date.now()}.mp4`);
-        await concatClips(selectedClips, testTempPath, batchDir);
-        console.log(`第${successCount + 1}个视频基础拼接测试成功`);
-        logToFile(`第${successCount + 1}个视频基础拼接测试成功`);
-        // 删除测试文件
-        if (fs.existsSync(testTempPath)) {
-          fs.unlinkSync(testTempPath);
-        }
-      } catch (testError) {
-        console.error(`第${successCount + 1}个视频基础拼接测试失败:`, testError.message);
-        logToFile(`第${successCount + 1}个视频基础拼接测试失败:`, testError.message);
-        throw testError;
-      }
-
-      await concatClipsWithAudio(selectedClips, audioPath, tempOutPath, batchDir, 1.0, videoRates,
-        msg => concatBar.interrupt(`第${successCount + 1}个视频 ${msg}`)
-      );
-      fs.renameSync(tempOutPath, outPath);
-      // 成功后更新当日最大序号状态，防止后续因删除导致回退
-      try { writeLastIndex(outputDir, videoNamePrefix, dateStr, videoIdx); } catch (_) { }
-      const endTime = Date.now();
-      const cost = ((endTime - startTime) / 1000).toFixed(2);
-      videoTimes.push({
-        index: successCount + 1,
-        file: outFileName,
-        time: cost
-      });
-      concatBar.interrupt(`第${successCount + 1}个视频合成完成: ${outFileName}，耗时${cost}秒`);
-      logToFile(`第${successCount + 1}个视频合成完成: ${outFileName}，耗时${cost}秒`);
-      // 记录到对象
-      allVideoIdsObj[outFileName] = { ids: idList, music: musicFiles[audioIdx] };
-
-      // 更新合成记录
-      updateSynthesisLog(outFileName, idList, musicFiles[audioIdx]);
-
-      successCount++;
-    } catch (error) {
-      console.error(`第${successCount + 1}个视频合成失败:`, error.message);
-      logToFile(`第${successCount + 1}个视频合成失败:`, error.message);
-      // 清理临时文件
-      if (fs.existsSync(tempOutPath)) {
-        try {
-          fs.unlinkSync(tempOutPath);
-        } catch (e) {
-          console.error('清理临时文件失败:', e.message);
-          logToFile('清理临时文件失败:', e.message);
-        }
-      }
-      // 增加计数器，避免无限循环
-      successCount++;
-      // 如果失败次数过多，退出循环
-      if (successCount >= numNewVideos * 2) {
-        console.log('失败次数过多，停止处理');
-        logToFile('失败次数过多，停止处理');
-        break;
-      }
+    const videoNo = successCount + 1;
+    // 时长规划：开头 + 正文 + 结尾，变速后与音频对齐
+    const timing = {
+      audio: +audioDuration.toFixed(3),
+      open: +openDur.toFixed(3),
+      body: +selectedDur.toFixed(3),
+      end: +endDur.toFixed(3),
+      rate: +videoRates[0].toFixed(4)
+    };
+    console.log(`第${videoNo}个视频时长规划: 开头 ${timing.open}s + 正文 ${timing.body}s（${selectedClips.length}个片段） + 结尾 ${timing.end}s，速率 ${timing.rate}，音频 ${timing.audio}s`);
+    logToFile(`第${videoNo}个视频时长规划: 开头 ${timing.open}s + 正文 ${timing.body}s（${selectedClips.length}个片段） + 结尾 ${timing.end}s，速率 ${timing.rate}，音频 ${timing.audio}s`);
+    // 渲染计划：选片结果与渲染参数，可在渲染前手动修改
+    const planItem = {
+      output: outFileName,
+      audio: audioPath,
+      openClips,
+      clips: selectedClips.slice(),
+      endClips, // 结尾片段，接在正文之后
+      timing,
+      trims: selectedClips.trimTo || null, // 卡点模式下正文片段的裁剪长度
+      cutLastTo: selectedClips.cutLastTo || null,
+      clipRates: selectedClips.clipRates || null, // 逐片段变速时正文片段的速率
+      music, // 音乐对齐画面时的截取起点、时长与淡入淡出
+      structure: selectedClips.slots || null, // 结构模板各槽位的类别、片段与时长
+      videoRates,
+      transition,
+      texts,
+      logo,
+      coverTitle: coverTitlePool.length > 0 ? pickTexts(coverTitlePool, 1)[0] : undefined, // 封面标题
+      clipAudio: keepClipAudio,
+      seed // 本批次的随机种子，写入合成记录
+    };
+    renderPlan.videos.push(planItem);
+    renderPlan.rngState = getState();
+    renderPlan.nextSlot = successCount + 1; // 含跳过的名额，继续批次时从同一名额继续
+    writeRenderPlan(renderPlanPath, renderPlan);
+    successCount++;
+    slotAudio = null;
+    await dispatchRender(planItem, videoNo, startTime);
+    if (planOnly) {
+      // 仅生成计划时立即占用序号，避免再次生成计划或正常合成时复用同一文件名
+      writeLastIndex(outputDir, videoNamePrefix, dateStr, videoIdx);
+      console.log(`第${videoNo}个视频已加入渲染计划: ${outFileName}`);
+      logToFile(`第${videoNo}个视频已加入渲染计划: ${outFileName}`);
     }
   }
+  // 等待剩余渲染任务全部完成
+  await Promise.all(runningJobs);
+  videoTimes.sort((a, b) => a.index - b.index);
 
   // 输出到 js 文件（对象格式） - 保留原有功能
   /*
@@ -983,14 +2221,6 @@ async function composeVideosWithOpen() {
   console.log(`全部合成完成，片段标识已输出到 ${batchDir}/video_ids.js`);
   logToFile(`全部合成完成，片段标识已输出到 ${batchDir}/video_ids.js`);
   */
-  // 记录本轮最后一次用到的音频索引
-  const newLastIdx = (musicStartIdx + successCount - 1 + musicFiles.length) % musicFiles.length;
-  fs.writeFileSync(lastMusicIdxPath, JSON.stringify({
-    inputDir: config.inputDir,
-    musicDir: config.musicDir,
-    lastMusicIdx: newLastIdx
-  }, null, 2));
-
   // 删除output及子文件夹下所有以temp开头的临时视频
   function deleteTempFiles(dir) {
     const files = fs.readdirSync(dir);
@@ -1022,7 +2252,16 @@ async function composeVideosWithOpen() {
     logToFile('本次生成未发生重试。');
   }
 
-  // 输出所有视频合成耗时
+  if (planOnly) {
+    console.log(`渲染计划已生成: ${renderPlanPath}，共 ${renderPlan.videos.length} 个视频。确认或修改后使用 --render 参数合成`);
+    logToFile(`渲染计划已生成: ${renderPlanPath}，共 ${renderPlan.videos.length} 个视频`);
+    return;
+  }
+  printVideoTimes(videoTimes, logToFile);
+}
+
+// 输出所有视频合成耗时
+function printVideoTimes(videoTimes, logToFile) {
   console.log('\n全部视频合成耗时统计:');
   logToFile('全部视频合成耗时统计:');
   if (videoTimes.length === 0) {
@@ -1036,6 +2275,67 @@ async function composeVideosWithOpen() {
   }
 }
 
+// 按渲染计划文件合成：计划所在目录即批次目录，已存在的成片会跳过
+async function renderPlanFile(planPath) {
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+  const batchDir = path.dirname(path.resolve(planPath));
+  const { logToFile, updateSynthesisLog } = createBatchContext(batchDir);
+  const videos = Array.isArray(plan.videos) ? plan.videos : [];
+  console.log(`按渲染计划合成: ${planPath}，共 ${videos.length} 个视频`);
+  logToFile(`按渲染计划合成: ${planPath}，共 ${videos.length} 个视频`);
+  const clipSetIndexPath = path.join(outputDir, 'clip_set_index.json');
+  const renderBar = new ProgressBar('按计划合成进度 [:bar] :current/:total', { total: videos.length, width: 30 });
+  const runningJobs = new Set();
+  const videoTimes = [];
+  for (let i = 0; i < videos.length; i++) {
+    const item = videos[i];
+    const label = `第${i + 1}个视频`;
+    renderBar.tick();
+    sendProgress(i + 1, videos.length);
+    if (fs.existsSync(path.join(batchDir, item.output))) {
+      console.log(`${label}已存在，跳过: ${item.output}`);
+      logToFile(`${label}已存在，跳过: ${item.output}`);
+      continue;
+    }
+    const startTime = Date.now();
+    const renderJob = async () => {
+      try {
+        const result = await renderPlannedVideo(item, batchDir, label, logToFile, msg => renderBar.interrupt(`${label} ${msg}`));
+        const cost = ((Date.now() - startTime) / 1000).toFixed(2);
+        videoTimes.push({ index: i + 1, file: item.output, time: cost });
+        renderBar.interrupt(`${label}合成完成: ${item.output}，耗时${cost}秒`);
+        logToFile(`${label}合成完成: ${item.output}，耗时${cost}秒`);
+        const idList = (item.openClips || []).concat(item.clips, item.endClips || []).map(getClipId);
+        updateSynthesisLog(item.output, idList, path.basename(item.audio), getPlanLogExtra(item, result));
+        recordAudioUse(musicDir, path.basename(item.audio));
+        if (overlapHistory) {
+          try {
+            const index = loadClipSetIndex(clipSetIndexPath);
+            index.set(item.output, makeIndexEntry(idList, clipsDir));
+            saveClipSetIndex(clipSetIndexPath, index);
+          } catch (e) { console.error('写入片段组合索引失败:', e.message); }
+        }
+      } catch (error) {
+        console.error(`${label}合成失败:`, error.message);
+        logToFile(`${label}合成失败:`, error.message);
+        if (error.rejected) {
+          // 按计划合成不重新选片，未通过质量检查的视频不补位
+          console.log(`${label}未通过质量检查，按计划合成时不补位`);
+          logToFile(`${label}未通过质量检查，按计划合成时不补位`);
+        }
+      }
+    };
+    const job = renderJob().finally(() => runningJobs.delete(job));
+    runningJobs.add(job);
+    if (runningJobs.size >= concurrency) {
+      await Promise.race(runningJobs);
+    }
+  }
+  await Promise.all(runningJobs);
+  videoTimes.sort((a, b) => a.index - b.index);
+  printVideoTimes(videoTimes, logToFile);
+}
+
 // 基于已存在文件的最大序号与持久化状态计算下一个序号，避免删除导致回退或复用
 function getFileMaxVideoIndex(rootDir, prefix, dateStr) {
   let maxIdx = 0;
@@ -1099,4 +2399,46 @@ function getNextVideoIndex(rootDir, prefix, dateStr) {
   return Math.max(fileMax, stateMax) + 1;
 }
 
-composeVideosWithOpen();
\ No newline at end of file
+// 命令行：
+//   node scripts/video_concat.js                  选片并合成
+//   node scripts/video_concat.js --plan-only      只选片，生成批次目录下的 render_plan.json，不编码
+//   node scripts/video_concat.js --render <plan>  按渲染计划文件合成
+//   node scripts/video_concat.js --resume [dir]   继续最近一个（或指定的）未完成批次
+//   node scripts/video_concat.js --seed <值>      指定随机种子，相同输入与种子得到相同的渲染计划
+async function main() {
+  const argv = process.argv.slice(2);
+  const seedArg = parseSeedArg(argv);
+  const renderIdx = argv.indexOf('--render');
+  if (renderIdx >= 0) {
+    const planPath = argv[renderIdx + 1];
+    if (!planPath || !fs.existsSync(planPath)) {
+      console.error(`渲染计划文件不存在: ${planPath || ''}`);
+      process.exit(1);
+    }
+    await renderPlanFile(planPath);
+    return;
+  }
+  const resumeIdx = argv.indexOf('--resume');
+  if (resumeIdx >= 0) {
+    const arg = argv[resumeIdx + 1];
+    const resumeDir = arg && !arg.startsWith('--') ? path.resolve(arg) : findIncompleteBatch();
+    if (!resumeDir || !fs.existsSync(resumeDir)) {
+      console.log('未发现未完成的批次，无需继续');
+      return;
+    }
+    await composeVideosWithOpen(argv.includes('--plan-only'), resumeDir, seedArg);
+    return;
+  }
+  await composeVideosWithOpen(argv.includes('--plan-only'), null, seedArg);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  composeVideosWithOpen,
+  renderPlanFile,
+  renderPlannedVideo,
+  concatClipsWithAudio,
+};
@@ -13,6 +13,7 @@ const {
   quickFixVideo,
 } = require('./video_utils');
 const { getAliasKey } = require('./alias_utils');
+const { isClipAudioDir } = require('./clip_audio');
 const { spawn } = require('child_process');
 
 async function reencodeClip(inputPath, outputPath) {
@@ -39,9 +40,12 @@ const todoDir = path.join(inputDir, '未分析');
 
 // 选择分割方案：true=帧级精确分割，false=原方案（减2帧）
 const useFrameAccurateSplit = config.useFrameAccurateSplit || false;
+// 片段目录在 clipAudio.dirs 中时分割保留原声
+const keepClipAudio = isClipAudioDir(config.clipAudio, clipsDir);
 
 (async () => {
   await fs.ensureDir(clipsDir);
+  if (keepClipAudio) console.log('片段目录已开启保留原声，分割时保留音轨');
   await fs.ensureDir(doneDir);
   await fs.ensureDir(todoDir);
   // 首次运行时，将input下所有视频移到未分析
@@ -93,7 +97,7 @@ const useFrameAccurateSplit = config.useFrameAccurateSplit || false;
     } catch (err) {
       console.error('场景检测失败，尝试快速修复后重试。错误:', err.message);
       try {
-        const fixed = await quickFixVideo(usedInput);
+        const fixed = await quickFixVideo(usedInput, keepClipAudio);
         console.log('已生成修复文件，重新检测场景:', path.basename(fixed));
         usedInput = fixed;
         sceneFrames = await getSceneChangeFrames(usedInput, config.sceneThreshold || 0.4);
@@ -140,9 +144,9 @@ const useFrameAccurateSplit = config.useFrameAccurateSplit || false;
 
     async function doSplit(inputForSplit) {
       if (useFrameAccurateSplit) {
-        return await splitVideoByFrameSelect(inputForSplit, sceneFrames, alias, clipsDir, () => splitBar.tick());
+        return await splitVideoByFrameSelect(inputForSplit, sceneFrames, alias, clipsDir, () => splitBar.tick(), keepClipAudio);
       } else {
-        return await splitVideoToClipsWithAlias(inputForSplit, sceneFrames, alias, clipsDir, () => splitBar.tick(), config.minusFrames || 2);
+        return await splitVideoToClipsWithAlias(inputForSplit, sceneFrames, alias, clipsDir, () => splitBar.tick(), config.minusFrames || 2, keepClipAudio);
       }
     }
     try {
@@ -150,7 +154,7 @@ const useFrameAccurateSplit = config.useFrameAccurateSplit || false;
     } catch (err) {
       console.error('分割失败，尝试快速修复后重试。错误:', err.message);
       try {
-        const fixed = await quickFixVideo(usedInput);
+        const fixed = await quickFixVideo(usedInput, keepClipAudio);
         console.log('已生成修复文件，重新分割:', path.basename(fixed));
         usedInput = fixed;
         // 重置进度条
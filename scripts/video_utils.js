@@ -3,6 +3,9 @@ const path = require('path');
 const { spawn } = require('child_process');
 const ProgressBar = require('progress');
 const yaml = require('js-yaml');
+const { probeMedia, getMediaDuration } = require('./probe_cache');
+const { CLIP_AUDIO_CODEC_ARGS, keepAudioArgs } = require('./clip_audio');
+const { randomInt } = require('./random_utils');
 
 // 加载配置（用于控制分割提速策略）
 let __config = {};
@@ -78,8 +81,8 @@ async function ffprobeJson(file) {
   });
 }
 
-async function quickFixVideo(inputPath) {
-  // 尝试快速修复：先 remux 复制；失败则 x264 最小化重编码（仅视频，-an）。
+async function quickFixVideo(inputPath, keepAudio = false) {
+  // 尝试快速修复：先 remux 复制；失败则 x264 最小化重编码（仅视频，-an；keepAudio 时保留第一条音轨）。
   const dir = path.dirname(inputPath);
   const base = path.parse(inputPath).name;
   const tmpDir = path.join(dir, '_fixed');
@@ -92,6 +95,7 @@ async function quickFixVideo(inputPath) {
       '-fflags', '+genpts',
       '-i', normalizePath(inputPath),
       '-map', '0:v:0',
+      ...(keepAudio ? ['-map', '0:a:0?'] : []),
       '-c', 'copy',
       '-movflags', '+faststart',
       '-y', normalizePath(remuxPath)
@@ -107,8 +111,9 @@ async function quickFixVideo(inputPath) {
     '-fflags', '+genpts',
     '-i', normalizePath(inputPath),
     '-map', '0:v:0',
+    ...(keepAudio ? ['-map', '0:a:0?'] : []),
     '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
-    '-an', '-movflags', '+faststart',
+    ...(keepAudio ? CLIP_AUDIO_CODEC_ARGS : ['-an']), '-movflags', '+faststart',
     '-y', normalizePath(reencPath)
   ], `fix_reencode_${base}`, 600);
   await ffprobeJson(reencPath);
@@ -119,8 +124,8 @@ function getVideoFiles(dir) {
   return fs.readdirSync(dir).filter(f => /(\.mp4|\.mov|\.avi|\.mkv)$/i.test(f));
 }
 
-// 分割片段助手：单个片段多方案重试（避免整批中断）
-async function splitOneSegment(inputFile, outPath, start, duration, logBase) {
+// 分割片段助手：单个片段多方案重试（避免整批中断）；keepAudio 为 true 时保留原声（见 clip_audio.js）
+async function splitOneSegment(inputFile, outPath, start, duration, logBase, keepAudio = false) {
   // 变体：快速拷贝切割（-ss 前置 + -c copy，极快，但仅关键帧精度）
   const variantCopyFast = [
     '-hide_banner', '-loglevel', 'error', '-nostdin',
@@ -182,7 +187,7 @@ async function splitOneSegment(inputFile, outPath, start, duration, logBase) {
   let lastErr = null;
   for (let i = 0; i < variants.length; i++) {
     try {
-      await runFfmpegLogged(variants[i], `${logBase}_try${i+1}`, 600);
+      await runFfmpegLogged(keepAudio ? keepAudioArgs(variants[i]) : variants[i], `${logBase}_try${i+1}`, 600);
       return true;
     } catch (e) {
       lastErr = e;
@@ -190,7 +195,7 @@ async function splitOneSegment(inputFile, outPath, start, duration, logBase) {
   }
   // 快速修复后再试一次（拷贝优先 + A/B）
   try {
-    const fixed = await quickFixVideo(inputFile);
+    const fixed = await quickFixVideo(inputFile, keepAudio);
     const fixedVariants = [];
     if (fastSplitCopy) fixedVariants.push(['-hide_banner','-loglevel','error','-nostdin','-ss', String(start), '-i', normalizePath(fixed), '-t', String(duration), '-an','-c:v','copy','-movflags','+faststart','-y', normalizePath(outPath)]);
     if (fastSeekFirst) {
@@ -202,7 +207,7 @@ async function splitOneSegment(inputFile, outPath, start, duration, logBase) {
     }
     for (let j = 0; j < fixedVariants.length; j++) {
       try {
-        await runFfmpegLogged(fixedVariants[j], `${logBase}_fixed_try${j+1}`, 600);
+        await runFfmpegLogged(keepAudio ? keepAudioArgs(fixedVariants[j]) : fixedVariants[j], `${logBase}_fixed_try${j+1}`, 600);
         return true;
       } catch (e2) { lastErr = e2; }
     }
@@ -246,39 +251,22 @@ function getSceneChangeFrames(filePath, threshold = 0.4) {
 
 function shuffle(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomInt(i + 1);
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
 async function getFps(filePath) {
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-v', '0',
-      '-of', 'csv=p=0',
-      '-select_streams', 'v:0',
-      '-show_entries', 'stream=r_frame_rate',
-      '-print_format', 'default',
-      filePath
-    ];
-    const ffprobe = spawn('ffprobe', args);
-    let data = '';
-    ffprobe.stdout.on('data', chunk => data += chunk);
-    ffprobe.on('error', err => reject(err));
-    ffprobe.on('close', () => {
-      const match = data.match(/(\d+\/?\d*)/);
-      let fps = 25;
-      if (match) {
-        const parts = match[1].split('/');
-        fps = parts.length === 2 ? (parseFloat(parts[0]) / parseFloat(parts[1])) : parseFloat(parts[0]);
-      }
-      resolve(fps || 25);
-    });
-  });
+  try {
+    const info = await probeMedia(filePath);
+    return (info.video && info.video.rFrameRate) || 25;
+  } catch (_) {
+    return 25;
+  }
 }
 
-async function splitVideoToClips(filePath, sceneFrames, basename, clipsDir, progressCb) {
+async function splitVideoToClips(filePath, sceneFrames, basename, clipsDir, progressCb, keepAudio = false) {
   const clips = [];
   for (let i = 0; i < sceneFrames.length - 1; i++) {
     const start = sceneFrames[i];
@@ -287,7 +275,7 @@ async function splitVideoToClips(filePath, sceneFrames, basename, clipsDir, prog
     await fs.ensureDir(clipsDir);
     const logBase = `split_${path.parse(filePath).name}_${i}`;
     try {
-      const ok = await splitOneSegment(filePath, outPath, start, duration, logBase);
+      const ok = await splitOneSegment(filePath, outPath, start, duration, logBase, keepAudio);
       if (ok) clips.push(outPath); else throw new Error('unknown split failure');
     } catch (e) {
       writeLogSafe(`${logBase}_fatal.log`, `SPLIT FAILED for ${path.basename(filePath)} [${start}, ${duration}] => ${e?.message || e}`);
@@ -298,7 +286,7 @@ async function splitVideoToClips(filePath, sceneFrames, basename, clipsDir, prog
   return clips;
 }
 
-async function splitVideoToClipsWithAlias(filePath, sceneFrames, alias, clipsDir, progressCb, minusFrames = 1) {
+async function splitVideoToClipsWithAlias(filePath, sceneFrames, alias, clipsDir, progressCb, minusFrames = 1, keepAudio = false) {
   const clips = [];
   const basename = alias;
   const fps = await getFps(filePath);
@@ -311,7 +299,7 @@ async function splitVideoToClipsWithAlias(filePath, sceneFrames, alias, clipsDir
     await fs.ensureDir(clipsDir);
     const logBase = `split_alias_${path.parse(filePath).name}_${i}`;
     try {
-      const ok = await splitOneSegment(filePath, outPath, start, duration, logBase);
+      const ok = await splitOneSegment(filePath, outPath, start, duration, logBase, keepAudio);
       if (ok) clips.push(outPath); else throw new Error('unknown split failure');
     } catch (e) {
       writeLogSafe(`${logBase}_fatal.log`, `SPLIT FAILED for ${path.basename(filePath)} [${start}, ${duration}] => ${e?.message || e}`);
@@ -348,7 +336,7 @@ async function getFrameTimeMap(filePath) {
   });
 }
 
-async function splitVideoByFrameSelect(filePath, sceneFrames, alias, clipsDir, progressCb) {
+async function splitVideoByFrameSelect(filePath, sceneFrames, alias, clipsDir, progressCb, keepAudio = false) {
   const clips = [];
   const basename = alias;
   const frameMap = await getFrameTimeMap(filePath);
@@ -364,7 +352,8 @@ async function splitVideoByFrameSelect(filePath, sceneFrames, alias, clipsDir, p
       '-fflags', '+genpts',
       '-i', normalizePath(filePath),
       '-vf', `select='between(n\\,${startFrame}\\,${endFrame-1})',setpts=N/FRAME_RATE/TB`,
-      '-an',
+      // 原声按时间截取（音频没有帧号）
+      ...(keepAudio ? ['-af', `aselect='between(t\\,${startTime}\\,${endTime})',asetpts=N/SR/TB`, ...CLIP_AUDIO_CODEC_ARGS] : ['-an']),
       '-c:v', 'libx264',
       '-preset', 'ultrafast',
       '-pix_fmt', 'yuv420p',
@@ -386,7 +375,8 @@ async function splitVideoByFrameSelect(filePath, sceneFrames, alias, clipsDir, p
 
 async function concatClips(clips, outPath, outputDir) {
   const bar = new ProgressBar('拼接进度 [:bar] :current/:total', { total: 1, width: 30 });
-  const listFile = path.join(outputDir, 'concat_list.txt');
+  // 列表文件按输出文件命名，多个拼接任务共用同一目录时互不覆盖
+  const listFile = path.join(outputDir, `concat_list_${path.parse(outPath).name}.txt`);
   
   for (const clip of clips) {
     if (!fs.existsSync(clip)) {
@@ -445,21 +435,7 @@ async function concatClips(clips, outPath, outputDir) {
 }
 
 function getClipDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    const { spawn } = require('child_process');
-    const ffprobe = spawn('ffprobe', [
-      '-v', 'error',
-      '-show_entries', 'format=duration',
-      '-of', 'default=noprint_wrappers=1:nokey=1',
-      filePath
-    ]);
-    let data = '';
-    ffprobe.stdout.on('data', chunk => data += chunk);
-    ffprobe.on('close', () => {
-      resolve(parseFloat(data));
-    });
-    ffprobe.on('error', err => reject(err));
-  });
+  return getMediaDuration(filePath);
 }
 
 function genShortAliasArr(n) {
@@ -532,6 +508,7 @@ module.exports = {
   getFrameTimeMap,
   splitVideoByFrameSelect,
   getClipDuration,
+  getFps,
   generateOrUpdateAliasMap,
   // 新增导出：诊断/预检能力
   runFfmpegLogged,
@@ -13,7 +13,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
 const ProgressBar = require('progress');
-const ffmpeg = require('fluent-ffmpeg');
+const { probeMedia } = require('./scripts/probe_cache');
 
 // 允许的视频扩展名
 const VIDEO_EXTS = new Set([
@@ -69,19 +69,6 @@ function gcd(a, b) {
   return a || 1;
 }
 
-function parseRational(str) {
-  if (!str) return undefined;
-  if (typeof str === 'number') return str;
-  const m = String(str).split('/');
-  if (m.length === 2) {
-    const n = parseFloat(m[0]);
-    const d = parseFloat(m[1]);
-    if (d !== 0) return n / d;
-  }
-  const v = parseFloat(str);
-  return isNaN(v) ? undefined : v;
-}
-
 function humanBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -101,26 +88,16 @@ function humanDuration(seconds) {
   return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
 }
 
-function probe(file) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(file, (err, metadata) => {
-      if (err) return reject(err);
-      resolve(metadata);
-    });
-  });
-}
-
 async function analyzeOne(file, rootDir) {
   try {
-    const meta = await probe(file);
-    const format = meta.format || {};
-    const videoStream = (meta.streams || []).find(s => s.codec_type === 'video');
+    const info = await probeMedia(file);
+    const videoStream = info.video;
 
     const width = videoStream?.width || 0;
     const height = videoStream?.height || 0;
 
     // 计算 DAR（显示宽高比）
-    let aspectRatio = videoStream?.display_aspect_ratio;
+    let aspectRatio = videoStream?.displayAspectRatio;
     if (!aspectRatio || aspectRatio === '0:1') {
       if (width && height) {
         const g = gcd(width, height);
@@ -132,16 +109,16 @@ async function analyzeOne(file, rootDir) {
     const aspectRatioFloat = width && height ? +(width / height).toFixed(4) : undefined;
 
     // 码率（优先 format.bit_rate，其次视频流；都没有则估算）
-    let bps = format.bit_rate ? Number(format.bit_rate) : undefined;
-    if (!bps && videoStream?.bit_rate) bps = Number(videoStream.bit_rate);
-    const duration = format.duration ? Number(format.duration) : undefined;
-    const sizeBytes = format.size ? Number(format.size) : (await fs.stat(file)).size;
+    let bps = info.bitRate;
+    if (!bps && videoStream?.bitRate) bps = videoStream.bitRate;
+    const duration = info.duration;
+    const sizeBytes = info.size || (await fs.stat(file)).size;
     if (!bps && duration && sizeBytes) {
       bps = Math.round((sizeBytes * 8) / duration);
     }
 
     // 帧率
-    const fps = parseRational(videoStream?.avg_frame_rate) || parseRational(videoStream?.r_frame_rate);
+    const fps = videoStream?.fps;
 
     const result = {
       file: path.relative(rootDir, file).split(path.sep).join('/'),
@@ -156,8 +133,8 @@ async function analyzeOne(file, rootDir) {
       aspectRatioFloat,
       bitrate: bps ? { bps, kbps: +(bps / 1000).toFixed(1) } : undefined,
       fps: fps ? +fps.toFixed(3) : undefined,
-      codec: videoStream?.codec_name,
-      pixFmt: videoStream?.pix_fmt,
+      codec: videoStream?.codec,
+      pixFmt: videoStream?.pixFmt,
     };
 
     return { ok: true, data: result };
@@ -189,7 +166,8 @@ async function main() {
 
   const results = [];
   const errors = [];
-  for (const f of videos) {
+  // 并行探测（ffprobe 并发数由 probe_cache 限制，结果会缓存）
+  await Promise.all(videos.map(async f => {
     const r = await analyzeOne(f, targetDir);
     if (r.ok) {
       results.push(r.data);
@@ -197,7 +175,7 @@ async function main() {
       errors.push({ file: path.relative(targetDir, f), error: r.error });
     }
     bar.tick();
-  }
+  }));
 
   // 排序：按相对路径
   results.sort((a, b) => a.file.localeCompare(b.file, 'zh-CN'));
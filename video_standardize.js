@@ -10,7 +10,7 @@
  *  - 帧率：可选固定帧率（例如 30），若设置 targetFps 则强制 CFR
  *  - faststart：+faststart
  *  - 音频：AAC（可配置比特率/声道/采样率）
- *  - 显示宽高比（DAR）：可选，默认 9:16；支持 pad（加黑边）、crop（裁剪）、none（不调整）
+ *  - 显示宽高比（DAR）：可选，默认 9:16；支持 pad（加黑边）、crop（裁剪）、blur（模糊背景填充）、none（不调整）
  *
  * 用法（PowerShell）：
  *   node video_standardize.js                  # 扫描 config.inputDir 或 standardize.inputDir
@@ -86,8 +86,9 @@ function pickStandardizeOptions(cfg) {
     targetFps: Number.isFinite(+s.targetFps) ? +s.targetFps : null, // 例如 30（null 表示不强制）
     // 目标显示宽高比（DAR）与处理模式
     targetAspectRatio: parseAspectValue(s.targetAspectRatio ?? '9:16'),
-    aspectMode: (s.aspectMode || 'pad').toLowerCase(), // pad|crop|none
+    aspectMode: (s.aspectMode || 'pad').toLowerCase(), // pad|crop|blur|none
     padColor: s.padColor || 'black',
+    blurStrength: Number.isFinite(+s.blurStrength) ? +s.blurStrength : 20, // blur 模式背景模糊半径
     // 最小分辨率设置
     ensureMinResolution: s.ensureMinResolution !== undefined ? !!s.ensureMinResolution : false,
     minWidth: Number.isFinite(+s.minWidth) ? +s.minWidth : null,
@@ -298,6 +299,17 @@ function buildNumericAspectFilters(w, h, opt) {
   const R = opt.targetAspectRatio;
   const curR = w / h;
   if (Math.abs(curR - R) < 0.001) return [];
+  if (opt.aspectMode === 'blur') {
+    // 画布尺寸同 pad；背景为原画面放大裁满画布后模糊，前景居中
+    const padW = curR < R ? roundEven(h * R) : w;
+    const padH = curR < R ? h : roundEven(w / R);
+    const x = Math.floor((padW - w) / 2);
+    const y = Math.floor((padH - h) / 2);
+    const radius = Number.isFinite(opt.blurStrength) ? opt.blurStrength : 20;
+    return [
+      `split=2[blurbg][blurfg];[blurbg]scale=${padW}:${padH}:force_original_aspect_ratio=increase,crop=${padW}:${padH},boxblur=${radius}:1[blurred];[blurred][blurfg]overlay=${x}:${y}`
+    ];
+  }
   if (opt.aspectMode === 'pad') {
     if (curR < R) {
       const padW = roundEven(h * R);
@@ -486,7 +498,14 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  console.error('执行失败:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('执行失败:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseAspectValue,
+  buildNumericAspectFilters,
+};